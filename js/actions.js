@@ -0,0 +1,34 @@
+// Player actions that can be performed on a Grid
+export const ACTIONS = {
+  MOVE_LEFT: 'moveLeft',
+  MOVE_RIGHT: 'moveRight',
+  SOFT_DROP: 'softDrop',
+  HARD_DROP: 'hardDrop',
+  ROTATE_CW: 'rotateClockwise',
+  ROTATE_CCW: 'rotateCounterClockwise',
+  HOLD: 'hold',
+  PAUSE: 'pause', // Handled by the game loop, not the grid
+};
+
+// Perform an action on the grid
+// Returns true if the grid changed
+export function applyAction(grid, action) {
+  switch (action) {
+    case ACTIONS.MOVE_LEFT:
+      return grid.moveLeft();
+    case ACTIONS.MOVE_RIGHT:
+      return grid.moveRight();
+    case ACTIONS.SOFT_DROP:
+      return grid.softDrop();
+    case ACTIONS.HARD_DROP:
+      return grid.hardDrop();
+    case ACTIONS.ROTATE_CW:
+      return grid.rotateClockwise();
+    case ACTIONS.ROTATE_CCW:
+      return grid.rotateCounterClockwise();
+    case ACTIONS.HOLD:
+      return grid.holdTetromino();
+    default:
+      return false;
+  }
+}
@@ -1,239 +1,408 @@
-import {Grid} from './grid.js';
-import {Renderer, vertices} from './renderer.js';
+import {Grid, LOCK_RESET_MODE} from './grid.js';
+import {createRenderer} from './renderer.js';
+import {GHOST_STYLE} from './base-renderer.js';
+import {RenderScheduler} from './render-scheduler.js';
+import {FRAME_MS, getGravityIntervalMs} from './gravity.js';
+import {ACTIONS, applyAction} from './actions.js';
+import {ReplayPlayer, ReplayRecorder, parseReplay, serializeReplay} from './replay.js';
+import {InputController} from './input-controller.js';
+import {Bindings, DEFAULT_KEY_BINDINGS} from './bindings.js';
+import {ControlsPanel} from './controls-panel.js';
+import {DEFAULT_GAMEPAD_BINDINGS, GamepadInput, formatGamepadInput} from './gamepad-input.js';
+import {TouchInput} from './touch-input.js';
+import {PAUSE_STATE, PauseController} from './pause-controller.js';
+import {GameMode, createGameMode, formatTime} from './game-modes.js';
+import {Leaderboard} from './leaderboard.js';
+import {VERSUS_STATE, VersusMatch, VersusMode} from './versus.js';
+import {SPECTATOR_STATE, SpectatorBroadcaster, SpectatorViewer} from './spectator.js';
 
 // Create grid instance
 const GRID_WIDTH = 10;
 const GRID_HEIGHT = 20;
 const PREVIEW_GRID_SIZE = 4;
-
-const grid = new Grid(GRID_WIDTH, GRID_HEIGHT, PREVIEW_GRID_SIZE);
-
-const TOTAL_CELLS = grid.totalCells;
-const HOLD_TOTAL_CELLS = grid.previewGridSize * grid.previewGridSize;
-
-function createBuffersAndBindGroup(renderer, uniformArray, cellColors, centerOffset, canvas, labels) {
-  const context = canvas.getContext('webgpu');
-  context.configure({
-    device: renderer.device,
-    format: navigator.gpu.getPreferredCanvasFormat(),
-  });
-
-  const uniformBuffer = renderer.device.createBuffer({
-    label: labels.uniform,
-    size: uniformArray.byteLength,
-    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+const LOCK_DELAY_MS = 500;
+// Moves and rotations reset the lock delay up to this many times per row reached
+const MAX_LOCK_RESETS = 15;
+const NEXT_QUEUE_SIZE = 5;
+// Completed rows animate for this long before collapsing, and the delay before each spawn (ARE)
+const LINE_CLEAR_DELAY_MS = 300;
+const ENTRY_DELAY_MS = 0;
+// Incoming versus garbage waits this long before it can rise, clears in the meantime cancel it
+const GARBAGE_DELAY_MS = 500;
+const MAX_FRAME_DELTA_MS = 250;
+const CLEAR_CALLOUT_DURATION_MS = 1500;
+
+// Auto repeat timings
+const DAS_MS = 167;
+const ARR_MS = 33;
+const SOFT_DROP_FACTOR = 20;
+
+const RESUME_COUNTDOWN_MS = 3000;
+
+// localStorage key of the keyboard layout
+const KEY_BINDINGS_STORAGE_KEY = 'keyBindings';
+const GAMEPAD_BINDINGS_STORAGE_KEY = 'gamepadBindings';
+// localStorage keys of the leaderboard fallback and the player name
+const LEADERBOARD_STORAGE_KEY = 'leaderboard';
+const PLAYER_NAME_STORAGE_KEY = 'playerName';
+
+// Versus server, see server/versus-server.mjs
+const VERSUS_SERVER_URL = 'ws://localhost:8090/';
+// Spectator relay, see server/spectator-server.mjs
+const SPECTATOR_SERVER_URL = 'ws://localhost:8091/';
+
+const grid = new Grid(GRID_WIDTH, GRID_HEIGHT, PREVIEW_GRID_SIZE, LOCK_DELAY_MS, {
+  nextQueueSize: NEXT_QUEUE_SIZE,
+  lockResetMode: LOCK_RESET_MODE.MOVE,
+  maxLockResets: MAX_LOCK_RESETS,
+  lineClearDelayMs: LINE_CLEAR_DELAY_MS,
+  entryDelayMs: ENTRY_DELAY_MS,
+  garbageDelayMs: GARBAGE_DELAY_MS,
+});
+
+// Fraction of the first hidden row shown above the playfield (0 to hide it)
+const PEEK_ROWS = 0.5;
+
+// Only the visible playfield and the peek row are drawn
+const MAIN_GRID_ROWS = grid.getVisibleHeight() + PEEK_ROWS;
+
+// Background behind the board cells
+const MAIN_CLEAR_COLOR = {r: 0.6, g: 0.6, b: 0.6, a: 1.0};
+
+// Cell styling: ghost piece look, and whether pieces are drawn as connected outlined blocks
+const GHOST_PIECE_STYLE = GHOST_STYLE.TRANSLUCENT;
+const CONNECT_PIECE_CELLS = true;
+
+function createMainSurface(renderer) {
+  const canvas = document.querySelector('#main-canvas');
+  // Keep cells square, the peek row is cut off by the top edge of the canvas
+  canvas.height = Math.round(canvas.width / grid.getWidth() * MAIN_GRID_ROWS);
+  return renderer.createSurface(canvas, {
+    columns: grid.getWidth(),
+    rows: MAIN_GRID_ROWS,
+    clearColor: MAIN_CLEAR_COLOR,
+    ghostStyle: GHOST_PIECE_STYLE,
+    connectCells: CONNECT_PIECE_CELLS,
+    label: 'Grid',
   });
-  renderer.device.queue.writeBuffer(uniformBuffer, 0, uniformArray);
+}
 
-  const cellColorsBuffer = renderer.device.createBuffer({
-    label: labels.cellColors,
-    size: cellColors.byteLength,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+function createHoldSurface(renderer) {
+  return renderer.createSurface(document.querySelector('#hold-canvas'), {
+    columns: grid.previewGridSize,
+    rows: grid.previewGridSize,
+    connectCells: CONNECT_PIECE_CELLS,
+    label: 'Hold',
   });
+}
 
-  const centerOffsetBuffer = renderer.device.createBuffer({
-    label: labels.centerOffset,
-    size: centerOffset.byteLength,
-    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+// Board of another player (versus opponent or spectated game), only the visible playfield
+function createRemoteBoardSurface(renderer, selector, label) {
+  return renderer.createSurface(document.querySelector(selector), {
+    columns: grid.getWidth(),
+    rows: grid.getVisibleHeight(),
+    clearColor: MAIN_CLEAR_COLOR,
+    label,
   });
+}
 
-  const bindGroup = renderer.device.createBindGroup({
-    label: labels.bindGroup,
-    layout: renderer.renderPipeline.getBindGroupLayout(0),
-    entries: [
-      {
-        binding: 0,
-        resource: {buffer: uniformBuffer}
-      },
-      {
-        binding: 1,
-        resource: {buffer: cellColorsBuffer}
-      },
-      {
-        binding: 2,
-        resource: {buffer: centerOffsetBuffer}
-      }
-    ],
+// Queue canvas stacks one preview grid per upcoming piece, next piece on top
+function createQueueSurface(renderer) {
+  const queueCanvas = document.querySelector('#queue-canvas');
+  queueCanvas.height = queueCanvas.width * grid.getNextQueueSize();
+  return renderer.createSurface(queueCanvas, {
+    columns: grid.previewGridSize,
+    rows: grid.previewGridSize,
+    slots: grid.getNextQueueSize(),
+    connectCells: CONNECT_PIECE_CELLS,
+    label: 'Queue',
   });
-
-  return {
-    context,
-    cellColorsBuffer,
-    bindGroup,
-    centerOffsetBuffer,
-  };
 }
 
-function createMainBuffersAndBindGroup(renderer) {
-  const canvas = document.querySelector('#main-canvas');
-  const uniformArray = new Float32Array([grid.getWidth(), grid.getHeight()]);
-  const cellColors = grid.getCellColors();
-  const centerOffset = new Float32Array([0.0, 0.0]);
-  return createBuffersAndBindGroup(
-    renderer,
-    uniformArray,
-    cellColors,
-    centerOffset,
-    canvas,
-    {
-      uniform: "Grid Uniforms",
-      cellColors: "Cell Colors",
-      centerOffset: "Center Offset",
-      bindGroup: "Cell renderer bind group"
-    }
-  );
-}
+(async () => {
+  // WebGPU when available, Canvas2D otherwise
+  const renderer = await createRenderer();
+
+  const mainSurface = createMainSurface(renderer);
+  const holdSurface = createHoldSurface(renderer);
+  const queueSurface = createQueueSurface(renderer);
+  const opponentSurface = createRemoteBoardSurface(renderer, '#opponent-canvas', 'Opponent');
+  const spectatorSurface = createRemoteBoardSurface(renderer, '#spectator-canvas', 'Spectator');
+
+  // Slots handed to the renderer, reused every frame
+  const boardSlots = [{
+    cellColors: null,
+    cellInfo: null,
+    centerOffset: new Float32Array([0.0, 0.0]),
+    dirtyStart: 0,
+    dirtyEnd: 0,
+  }];
+  const holdSlots = [{cellColors: null, cellInfo: null, centerOffset: null}];
+  const queueSlots = Array.from({length: grid.getNextQueueSize()}, () => ({
+    cellColors: null,
+    cellInfo: null,
+    centerOffset: null,
+  }));
+
+  const opponentSlots = [{cellColors: null, cellInfo: null, centerOffset: new Float32Array([0.0, 0.0])}];
+  const spectatorSlots = [{cellColors: null, cellInfo: null, centerOffset: new Float32Array([0.0, 0.0])}];
+
+  // Versus match, connects once versus is picked from the start menu
+  const versusMatch = new VersusMatch(grid, VERSUS_SERVER_URL);
+
+  // Streams the local game to spectators, and watches games streamed by others
+  const spectatorBroadcaster = new SpectatorBroadcaster(grid, SPECTATOR_SERVER_URL);
+  const spectatorViewer = new SpectatorViewer(SPECTATOR_SERVER_URL, grid.getWidth(), grid.getVisibleHeight());
+
+  // All canvases are drawn together once per frame, only the changed board cells are uploaded
+  const scheduler = new RenderScheduler(renderer);
+
+  scheduler.addSurface('board', mainSurface, () => {
+    const [slot] = boardSlots;
+    slot.cellColors = grid.getCellColors();
+    slot.cellInfo = grid.getCellInfo();
+    const {start, end} = grid.getDirtyRange();
+    slot.dirtyStart = start;
+    slot.dirtyEnd = end;
+    grid.clearDirty();
+    return boardSlots;
+  }, () => grid.getAnimationState());
+
+  scheduler.addSurface('hold', holdSurface, () => {
+    const [slot] = holdSlots;
+    slot.cellColors = grid.getHeldTetrominoColors();
+    slot.cellInfo = grid.getHeldTetrominoCellInfo();
+    slot.centerOffset = grid.getHoldTetriminoCenter();
+    return holdSlots;
+  });
 
-function createHoldBuffersAndBindGroup(renderer) {
-  const holdCanvas = document.querySelector('#hold-canvas');
-  const uniformArray = new Float32Array([grid.previewGridSize, grid.previewGridSize]);
-  const cellColors = grid.getHeldTetrominoColors();
-  const centerOffset = new Float32Array([0.0, 0.0]);
-  return createBuffersAndBindGroup(
-    renderer,
-    uniformArray,
-    cellColors,
-    centerOffset,
-    holdCanvas,
-    {
-      uniform: "Hold Grid Uniforms",
-      cellColors: "Hold Cell Colors",
-      centerOffset: "Hold Center Offset",
-      bindGroup: "Hold cell renderer bind group"
-    }
-  );
-}
+  scheduler.addSurface('queue', queueSurface, () => {
+    queueSlots.forEach((slot, i) => {
+      slot.cellColors = grid.getNextTetrominoColors(i);
+      slot.cellInfo = grid.getNextTetrominoCellInfo(i);
+      slot.centerOffset = grid.getNextTetrominoCenter(i);
+    });
+    return queueSlots;
+  });
 
-(async () => {
-  const renderer = new Renderer();
-  await renderer.initialize();
+  scheduler.addSurface('opponent', opponentSurface, () => {
+    const [slot] = opponentSlots;
+    const opponentBoard = versusMatch.getOpponentBoard();
+    slot.cellColors = opponentBoard.getCellColors();
+    slot.cellInfo = opponentBoard.getCellInfo();
+    return opponentSlots;
+  });
 
-  const {context, cellColorsBuffer, bindGroup, centerOffsetBuffer} = createMainBuffersAndBindGroup(renderer);
-  const {
-    context: holdContext,
-    cellColorsBuffer: holdCellColorsBuffer,
-    bindGroup: holdBindGroup,
-    centerOffsetBuffer: holdCenterOffsetBuffer
-  } = createHoldBuffersAndBindGroup(renderer);
+  scheduler.addSurface('spectator', spectatorSurface, () => {
+    const [slot] = spectatorSlots;
+    const spectatedBoard = spectatorViewer.getBoard();
+    slot.cellColors = spectatedBoard.getCellColors();
+    slot.cellInfo = spectatedBoard.getCellInfo();
+    return spectatorSlots;
+  });
 
   // Function to render a frame
   function render() {
-    renderer.device.queue.writeBuffer(cellColorsBuffer, 0, grid.getCellColors());
-    const offset =  new Float32Array([0.0, 0.0]);
-    renderer.device.queue.writeBuffer(centerOffsetBuffer, 0, offset);
-    const encoder = renderer.device.createCommandEncoder();
-    const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: context.getCurrentTexture().createView(),
-        loadOp: 'clear',
-        clearValue: {r: 0.6, g: 0.6, b: 0.6, a: 1.0},
-        storeOp: 'store',
-      }]
-    });
-
-    pass.setPipeline(renderer.renderPipeline);
-    pass.setVertexBuffer(0, renderer.vertexBuffer);
-    pass.setBindGroup(0, bindGroup);
-    pass.draw(vertices.length / 2, TOTAL_CELLS);
-
-    pass.end();
-    renderer.device.queue.submit([encoder.finish()]);
+    scheduler.invalidate('board');
   }
 
   // Function to render hold canvas (only when held tetromino changes)
   function renderHold() {
-    renderer.device.queue.writeBuffer(holdCellColorsBuffer, 0, grid.getHeldTetrominoColors());
-    renderer.device.queue.writeBuffer(holdCenterOffsetBuffer, 0, grid.getHoldTetriminoCenter());
-    const encoder = renderer.device.createCommandEncoder();
-    const pass = encoder.beginRenderPass({
-      colorAttachments: [{
-        view: holdContext.getCurrentTexture().createView(),
-        loadOp: 'clear',
-        storeOp: 'store',
-      }]
-    });
+    scheduler.invalidate('hold');
+  }
 
-    pass.setPipeline(renderer.renderPipeline);
-    pass.setVertexBuffer(0, renderer.vertexBuffer);
-    pass.setBindGroup(0, holdBindGroup);
-    pass.draw(vertices.length / 2, HOLD_TOTAL_CELLS);
+  // Function to render next queue canvas (only when a new piece spawns)
+  function renderQueue() {
+    scheduler.invalidate('queue');
+  }
 
-    pass.end();
-    renderer.device.queue.submit([encoder.finish()]);
+  // Hold and queue are only drawn on change, redraw everything once the GPU is back
+  renderer.setRestoreCallback(() => {
+    grid.markAllCellsDirty();
+    scheduler.invalidateAll();
+  });
+
+  // The queue only changes when a piece is taken from it
+  grid.on('spawn', renderQueue);
+
+  // Hold canvas only changes when a piece is held
+  grid.on('hold', renderHold);
+
+  // Replay recording of the current game, and playback of a loaded replay
+  const recorder = new ReplayRecorder();
+  let replayPlayer = null;
+
+  // Replay controls
+  const replayDownloadButton = document.querySelector('#replay-download');
+  const replayFileInput = document.querySelector('#replay-file');
+  const replayPlayback = document.querySelector('#replay-playback');
+  const replayPlayPauseButton = document.querySelector('#replay-play-pause');
+  const replaySpeedSelect = document.querySelector('#replay-speed');
+  const replaySeekInput = document.querySelector('#replay-seek');
+  const replayExitButton = document.querySelector('#replay-exit');
+
+  // Perform a player action on the grid, recording it for replays
+  function performAction(action) {
+    const tick = grid.getTick();
+    if (applyAction(grid, action)) {
+      recorder.record(tick, action);
+      render();
+    }
   }
 
-  // Add keyboard event listeners for arrow keys
-  document.addEventListener('keydown', (event) => {
-    if (event.key === 'ArrowLeft') {
-      event.preventDefault();
-      if (grid.moveLeft()) {
-        render();
-      }
-      return;
+  // Held keys are turned into actions on the game tick with DAS/ARR
+  const inputController = new InputController({
+    dasMs: DAS_MS,
+    arrMs: ARR_MS,
+    softDropFactor: SOFT_DROP_FACTOR,
+  });
+  inputController.setActionCallback(performAction);
+  grid.on('spawn', () => inputController.onSpawn());
+
+  // Pause, the board is hidden while paused and play resumes after a countdown
+  const gameContainer = document.querySelector('.game-container');
+  const pauseOverlay = document.querySelector('#pause-overlay');
+  const pauseTitle = document.querySelector('#pause-title');
+  const pauseHint = document.querySelector('#pause-hint');
+  const pauseController = new PauseController(RESUME_COUNTDOWN_MS);
+
+  pauseController.setChangeCallback((state, countdownSeconds) => {
+    pauseOverlay.hidden = state === PAUSE_STATE.RUNNING;
+    // The board is visible again during the countdown
+    pauseOverlay.classList.toggle('is-counting-down', state === PAUSE_STATE.COUNTDOWN);
+    gameContainer.classList.toggle('is-paused', state === PAUSE_STATE.PAUSED);
+    if (state === PAUSE_STATE.COUNTDOWN) {
+      pauseTitle.textContent = countdownSeconds;
+      pauseHint.hidden = true;
+    } else {
+      pauseTitle.textContent = 'Paused';
+      pauseHint.hidden = false;
     }
+    inputController.releaseAll();
+  });
 
-    if (event.key === 'ArrowRight') {
-      event.preventDefault();
-      if (grid.moveRight()) {
-        render();
-      }
-      return;
+  // Pause when the player can't be watching the board
+  function autoPause() {
+    if (grid.isPlaying() && !replayPlayer && !isMenuOpen() && !isVersus()) {
+      pauseController.pause();
     }
+  }
 
-    if (event.key === 'ArrowDown') {
-      event.preventDefault();
-      if (grid.moveDown()) {
-        render();
-      }
-      return;
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      autoPause();
     }
+  });
 
-    if (event.key === 'ArrowUp') {
-      event.preventDefault();
-      if (grid.rotateClockwise()) {
-        render();
-      }
+  // Route actions pressed on any input device
+  function handleActionPress(action) {
+    if (isMenuOpen()) {
       return;
     }
 
-    if (event.key === 'x' || event.key === 'X') {
-      event.preventDefault();
-      if (grid.rotateClockwise()) {
-        render();
+    if (action === ACTIONS.PAUSE) {
+      if (grid.isGameOver()) {
+        restartGame();
+      } else if (!replayPlayer && !isVersus()) {
+        // The opponent keeps playing, versus games can't be paused
+        pauseController.toggle();
       }
       return;
     }
 
-    if (event.key === 'z' || event.key === 'Z') {
-      event.preventDefault();
-      if (grid.rotateCounterClockwise()) {
-        render();
-      }
-      return;
+    if (!replayPlayer && pauseController.isRunning() && !isWaitingForRound()) {
+      inputController.press(action);
     }
+  }
+
+  function handleActionRelease(action) {
+    inputController.release(action);
+  }
+
+  // Rebindable keyboard layout
+  const keyBindings = new Bindings(DEFAULT_KEY_BINDINGS, KEY_BINDINGS_STORAGE_KEY);
+  keyBindings.setChangeCallback(() => inputController.releaseAll());
+  new ControlsPanel(document.querySelector('#controls-settings'), keyBindings);
 
-    if (event.key === ' ') {
+  // Add keyboard event listeners for game controls
+  document.addEventListener('keydown', (event) => {
+    // The last game stays over behind the start menu, Enter there belongs to the menu
+    if (grid.isGameOver() && event.key === 'Enter' && !isMenuOpen()) {
       event.preventDefault();
-      if (grid.hardDrop()) {
-        render();
-      }
+      restartGame();
       return;
     }
 
-    if (event.key === 'c' || event.key === 'C') {
-      event.preventDefault();
-      if (grid.holdTetromino()) {
-        render();
-        renderHold(); // Update hold canvas when holding
-      }
+    const action = keyBindings.getAction(event.code);
+    if (!action) {
       return;
     }
+
+    event.preventDefault();
+    // Ignore OS key repeat, the input controller handles auto repeat
+    if (!event.repeat) {
+      handleActionPress(action);
+    }
+  });
+
+  document.addEventListener('keyup', (event) => {
+    const action = keyBindings.getAction(event.code);
+    if (action) {
+      handleActionRelease(action);
+    }
+  });
+
+  // Gamepad controls, polled every frame and remappable like the keyboard
+  const gamepadBindings = new Bindings(DEFAULT_GAMEPAD_BINDINGS, GAMEPAD_BINDINGS_STORAGE_KEY);
+  const gamepadPanel = new ControlsPanel(document.querySelector('#gamepad-settings'), gamepadBindings, {
+    formatInput: formatGamepadInput,
+    captureKeys: false,
+    listenPrompt: 'Press a button…',
+  });
+  const gamepadStatus = document.querySelector('#gamepad-status');
+
+  const gamepadInput = new GamepadInput(gamepadBindings);
+  gamepadBindings.setChangeCallback(() => gamepadInput.releaseAll());
+  gamepadInput.onPress = handleActionPress;
+  gamepadInput.onRelease = handleActionRelease;
+  gamepadInput.onInputPress = (input) => {
+    if (!gamepadPanel.isListening()) {
+      return false;
+    }
+    gamepadPanel.captureInput(input);
+    return true;
+  };
+  gamepadInput.onConnectionChange = (gamepad) => {
+    gamepadStatus.textContent = gamepad ? `Connected: ${gamepad.id}` : 'No gamepad connected';
+  };
+
+  // Touch gestures on the board and on-screen buttons
+  const touchInput = new TouchInput(document.querySelector('#main-canvas'), grid.getWidth());
+  touchInput.onPress = handleActionPress;
+  touchInput.onRelease = handleActionRelease;
+
+  document.querySelectorAll('.touch-button').forEach((button) => {
+    const action = button.dataset.action;
+    button.addEventListener('pointerdown', (event) => {
+      event.preventDefault();
+      handleActionPress(action);
+    });
+    button.addEventListener('pointerup', () => handleActionRelease(action));
+    button.addEventListener('pointerleave', () => handleActionRelease(action));
+  });
+
+  // Key up events are lost while the window is unfocused
+  window.addEventListener('blur', () => {
+    inputController.releaseAll();
+    autoPause();
   });
 
   // Set up stats UI update callback
   const levelCounter = document.querySelector('#level-counter');
   const linesCounter = document.querySelector('#lines-counter');
   const scoreCounter = document.querySelector('#score-counter');
+  const timerLabel = document.querySelector('#timer-label');
+  const timerCounter = document.querySelector('#timer-counter');
 
   function updateStatsDisplay() {
     if (levelCounter) {
@@ -250,13 +419,540 @@ function createHoldBuffersAndBindGroup(renderer) {
   // Set the update callback on stats
   grid.getStats().setUpdateCallback(updateStatsDisplay);
 
-  // Initial render
-  grid.spawnTetromino();
-  render();
-  renderHold(); // Initial hold canvas render
+  // Timer of the current mode, updated every frame
+  function updateTimerDisplay() {
+    if (timerLabel) {
+      timerLabel.textContent = `${gameMode.getTimerLabel()}:`;
+    }
+    if (timerCounter) {
+      timerCounter.textContent = formatTime(gameMode.getTimerMs(grid));
+    }
+  }
+
+  // Show "T-Spin Double" style callouts for scoring clears
+  const clearCallout = document.querySelector('#clear-callout');
+  let clearCalloutTimeout = null;
+
+  function showClearCallout({name, backToBack, combo, perfectClear, points}) {
+    if (!clearCallout) {
+      return;
+    }
+
+    const lines = [];
+    if (backToBack) {
+      lines.push(['Back-to-Back', 'clear-callout-bonus']);
+    }
+    lines.push([name, 'clear-callout-name']);
+    if (combo > 0) {
+      lines.push([`${combo} Combo`, 'clear-callout-bonus']);
+    }
+    if (perfectClear) {
+      lines.push(['Perfect Clear', 'clear-callout-bonus']);
+    }
+    lines.push([`+${points}`, '']);
+
+    clearCallout.replaceChildren(...lines.map(([text, className]) => {
+      const line = document.createElement('span');
+      line.textContent = text;
+      line.className = className;
+      return line;
+    }));
+    clearCallout.hidden = false;
+
+    clearTimeout(clearCalloutTimeout);
+    clearCalloutTimeout = setTimeout(() => {
+      clearCallout.hidden = true;
+    }, CLEAR_CALLOUT_DURATION_MS);
+  }
+
+  grid.on('clear', showClearCallout);
+
+  // Game mode selected from the start menu
+  let gameMode = new GameMode();
+  const startMenu = document.querySelector('#start-menu');
+
+  function isMenuOpen() {
+    return !startMenu.hidden;
+  }
+
+  // Leaderboard of the best games per mode
+  const leaderboard = new Leaderboard(LEADERBOARD_STORAGE_KEY);
+  await leaderboard.initialize();
+
+  const leaderboardModeSelect = document.querySelector('#leaderboard-mode');
+  const leaderboardList = document.querySelector('#leaderboard-list');
+  const playerNameInput = document.querySelector('#player-name');
+
+  try {
+    playerNameInput.value = localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || '';
+  } catch (error) {
+    console.error('Failed to load player name:', error);
+  }
+
+  playerNameInput.addEventListener('change', () => {
+    try {
+      localStorage.setItem(PLAYER_NAME_STORAGE_KEY, playerNameInput.value.trim());
+    } catch (error) {
+      console.error('Failed to save player name:', error);
+    }
+  });
+
+  // Show the leaderboard of a mode, highlighting an entry (e.g. the game just finished)
+  async function renderLeaderboard(modeId, highlightId = null) {
+    const mode = createGameMode(modeId);
+    let entries = [];
+    try {
+      entries = await leaderboard.getEntries(mode);
+    } catch (error) {
+      console.error('Failed to load leaderboard:', error);
+    }
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'leaderboard-empty';
+      empty.textContent = 'No games yet';
+      leaderboardList.replaceChildren(empty);
+      return;
+    }
 
-  setInterval(() => {
-    grid.update();
+    leaderboardList.replaceChildren(...entries.map((entry) => {
+      const item = document.createElement('li');
+      item.className = 'leaderboard-entry';
+      item.classList.toggle('is-highlighted', entry.id === highlightId);
+      item.title = `Lines: ${entry.linesCleared} | Level: ${entry.level} | ` +
+        `Time: ${formatTime(entry.durationMs)} | ${new Date(entry.date).toLocaleString()}`;
+
+      const name = document.createElement('span');
+      name.className = 'leaderboard-name';
+      name.textContent = entry.name || 'Anonymous';
+
+      const value = document.createElement('span');
+      value.className = 'leaderboard-value';
+      value.textContent = mode.formatEntry(entry);
+
+      item.append(name, value);
+      return item;
+    }));
+  }
+
+  leaderboardModeSelect.addEventListener('change', () => renderLeaderboard(leaderboardModeSelect.value));
+  renderLeaderboard(leaderboardModeSelect.value);
+
+  // Game over overlay, doubles as the results screen of the mode
+  const gameOverOverlay = document.querySelector('#game-over-overlay');
+  const gameOverTitle = document.querySelector('#game-over-title');
+  const gameOverScore = document.querySelector('#game-over-score');
+  const personalBest = document.querySelector('#personal-best');
+  const restartButton = document.querySelector('#restart-button');
+  const menuButton = document.querySelector('#menu-button');
+
+  // Save the results of a live game and show them on the leaderboard
+  async function saveResults(mode, results) {
+    let added = null;
+    try {
+      added = await leaderboard.addResults(mode, results, playerNameInput.value.trim());
+    } catch (error) {
+      console.error('Failed to save results:', error);
+    }
+
+    if (personalBest) {
+      personalBest.hidden = !added || !added.personalBest;
+    }
+    if (mode.id) {
+      leaderboardModeSelect.value = mode.id;
+      renderLeaderboard(mode.id, added && added.entry.id);
+    }
+  }
+
+  grid.on('gameOver', (event) => {
+    const results = gameMode.getResults(event);
+    if (personalBest) {
+      personalBest.hidden = true;
+    }
+    // Replays are not saved
+    if (recorder.isRecording()) {
+      recorder.stop(grid.getTick());
+      replayDownloadButton.disabled = false;
+      saveResults(gameMode, results);
+    }
+    if (gameOverTitle) {
+      gameOverTitle.textContent = gameMode.getEndTitle(results);
+    }
+    if (gameOverScore) {
+      gameOverScore.textContent = gameMode.getEndSummary(results);
+    }
+    if (gameOverOverlay) {
+      gameOverOverlay.hidden = false;
+    }
+    updateTimerDisplay();
+  });
+
+  // Reset the board for a new game of the current mode, the piece sequence starts from seed
+  function resetGame(seed) {
+    pauseController.reset();
+    // A replay may have played with other delays
+    grid.setDelays({lineClearDelayMs: LINE_CLEAR_DELAY_MS, entryDelayMs: ENTRY_DELAY_MS});
+    grid.setLockDelay({
+      lockDelayMs: LOCK_DELAY_MS,
+      lockResetMode: LOCK_RESET_MODE.MOVE,
+      maxLockResets: MAX_LOCK_RESETS,
+    });
+    grid.reset(seed);
+    gameMode.start(grid);
+  }
+
+  // Clear the board and start a new game of the current mode without reloading the page
+  function restartGame() {
+    // Versus rounds start once both players are ready
+    if (isVersus()) {
+      versusMatch.ready();
+      return;
+    }
+
+    if (gameOverOverlay) {
+      gameOverOverlay.hidden = true;
+    }
+    startMenu.hidden = true;
+    stopReplay();
+    resetGame();
+    grid.spawnTetromino();
+    recorder.start(grid, gameMode.id);
+    replayDownloadButton.disabled = true;
+    updateTimerDisplay();
     render();
-  }, 1000 / 10);
+    renderHold();
+  }
+
+  function startGame(modeId) {
+    gameMode = createGameMode(modeId);
+    restartGame();
+  }
+
+  // Back to mode selection, the board stays frozen until a mode is picked
+  function showStartMenu() {
+    if (gameOverOverlay) {
+      gameOverOverlay.hidden = true;
+    }
+    if (isVersus()) {
+      versusMatch.leave();
+      versusPanel.hidden = true;
+      replayFileInput.disabled = false;
+      gameMode = new GameMode();
+    }
+    stopReplay();
+    recorder.stop(grid.getTick());
+    pauseController.reset();
+    inputController.releaseAll();
+    startMenu.hidden = false;
+  }
+
+  startMenu.querySelectorAll('.mode-button[data-mode]').forEach((button) => {
+    button.addEventListener('click', () => startGame(button.dataset.mode));
+  });
+
+  // Versus: both players get the same seed from the server when they are ready,
+  // the board stays frozen between rounds
+  const versusMode = new VersusMode();
+  const versusButton = document.querySelector('#versus-button');
+  const versusPanel = document.querySelector('#versus-panel');
+  const versusStatus = document.querySelector('#versus-status');
+  const opponentStats = document.querySelector('#opponent-stats');
+  const versusReadyButton = document.querySelector('#versus-ready');
+  const versusLeaveButton = document.querySelector('#versus-leave');
+
+  function isVersus() {
+    return gameMode === versusMode;
+  }
+
+  function isWaitingForRound() {
+    return isVersus() && !versusMatch.isPlaying();
+  }
+
+  function getVersusStatusText(state) {
+    const opponent = versusMatch.getOpponentName() || 'Anonymous';
+    switch (state) {
+      case VERSUS_STATE.CONNECTING:
+        return 'Connecting...';
+      case VERSUS_STATE.WAITING:
+        return 'Waiting for an opponent...';
+      case VERSUS_STATE.MATCHED:
+        return `Opponent: ${opponent}, press Ready`;
+      case VERSUS_STATE.READY:
+        return `Waiting for ${opponent}...`;
+      case VERSUS_STATE.PLAYING:
+        return `Playing against ${opponent}`;
+      case VERSUS_STATE.FINISHED:
+        return 'Press Ready for a rematch';
+      default:
+        return 'Disconnected from the versus server';
+    }
+  }
+
+  function updateVersusPanel() {
+    const state = versusMatch.getState();
+    versusStatus.textContent = getVersusStatusText(state);
+    // The server stopped answering, Ready becomes a manual reconnect
+    const disconnected = state === VERSUS_STATE.DISCONNECTED;
+    versusReadyButton.textContent = disconnected ? 'Reconnect' : 'Ready';
+    versusReadyButton.disabled = !disconnected && state !== VERSUS_STATE.MATCHED && state !== VERSUS_STATE.FINISHED;
+    const stats = versusMatch.getOpponentStats();
+    opponentStats.textContent = stats ? `Score: ${stats.score} | Lines: ${stats.linesCleared}` : '';
+  }
+
+  function startVersus() {
+    if (gameOverOverlay) {
+      gameOverOverlay.hidden = true;
+    }
+    startMenu.hidden = true;
+    gameMode = versusMode;
+    resetGame();
+    replayDownloadButton.disabled = true;
+    // A replay would take over the board while the opponent keeps sending garbage to it
+    replayFileInput.disabled = true;
+    versusPanel.hidden = false;
+    versusMatch.connect(playerNameInput.value.trim());
+    updateTimerDisplay();
+    render();
+    renderHold();
+  }
+
+  function startVersusRound(seed) {
+    if (gameOverOverlay) {
+      gameOverOverlay.hidden = true;
+    }
+    inputController.releaseAll();
+    resetGame(seed);
+    grid.spawnTetromino();
+    updateTimerDisplay();
+    render();
+    renderHold();
+  }
+
+  versusMatch.setStateCallback(updateVersusPanel);
+  versusMatch.setStartCallback(startVersusRound);
+  versusMatch.setOpponentUpdateCallback(() => {
+    updateVersusPanel();
+    scheduler.invalidate('opponent');
+  });
+
+  versusButton.addEventListener('click', startVersus);
+  versusReadyButton.addEventListener('click', () => {
+    if (versusMatch.getState() === VERSUS_STATE.DISCONNECTED) {
+      versusMatch.reconnect();
+    } else {
+      versusMatch.ready();
+    }
+  });
+  versusLeaveButton.addEventListener('click', showStartMenu);
+
+  if (restartButton) {
+    restartButton.addEventListener('click', restartGame);
+  }
+  if (menuButton) {
+    menuButton.addEventListener('click', showStartMenu);
+  }
+
+  // Replay download, loading and playback
+  function downloadReplay(replay) {
+    const blob = new Blob([serializeReplay(replay)], {type: 'application/json'});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `replay-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Play a replay on the main board instead of the live game
+  function startReplay(replay) {
+    // Replays recorded before game modes existed are endless games
+    const mode = replay.settings.mode ? createGameMode(replay.settings.mode) : new GameMode();
+    const liveTick = grid.getTick();
+    // Throws before touching the board if the replay was recorded on another board size
+    const player = new ReplayPlayer(replay, grid, mode);
+    if (gameOverOverlay) {
+      gameOverOverlay.hidden = true;
+    }
+    startMenu.hidden = true;
+    recorder.stop(liveTick);
+    gameMode = mode;
+    replayPlayer = player;
+    replayPlayer.setSpeed(Number(replaySpeedSelect.value));
+    replaySeekInput.max = replayPlayer.getLength();
+    replaySeekInput.value = 0;
+    replayPlayPauseButton.textContent = 'Pause';
+    replayPlayback.hidden = false;
+    render();
+    renderHold();
+  }
+
+  function stopReplay() {
+    replayPlayer = null;
+    replayPlayback.hidden = true;
+  }
+
+  replayDownloadButton.addEventListener('click', () => {
+    const replay = recorder.getReplay();
+    if (replay) {
+      downloadReplay(replay);
+    }
+  });
+
+  replayFileInput.addEventListener('change', async () => {
+    const [file] = replayFileInput.files;
+    replayFileInput.value = '';
+    if (!file || isVersus()) {
+      return;
+    }
+
+    try {
+      startReplay(parseReplay(await file.text()));
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+    }
+  });
+
+  replayPlayPauseButton.addEventListener('click', () => {
+    if (!replayPlayer) {
+      return;
+    }
+    if (replayPlayer.isPaused()) {
+      replayPlayer.play();
+      replayPlayPauseButton.textContent = 'Pause';
+    } else {
+      replayPlayer.pause();
+      replayPlayPauseButton.textContent = 'Play';
+    }
+  });
+
+  replaySpeedSelect.addEventListener('change', () => {
+    if (replayPlayer) {
+      replayPlayer.setSpeed(Number(replaySpeedSelect.value));
+    }
+  });
+
+  replaySeekInput.addEventListener('input', () => {
+    if (replayPlayer) {
+      replayPlayer.seek(Number(replaySeekInput.value));
+      render();
+      renderHold();
+    }
+  });
+
+  replayExitButton.addEventListener('click', showStartMenu);
+
+  // Spectating
+  const broadcastToggle = document.querySelector('#broadcast-toggle');
+  const spectateGamesSelect = document.querySelector('#spectate-games');
+  const spectateRefreshButton = document.querySelector('#spectate-refresh');
+  const spectateWatchButton = document.querySelector('#spectate-watch');
+  const spectatorPanel = document.querySelector('#spectator-panel');
+  const spectatorStatus = document.querySelector('#spectator-status');
+  const spectatorStats = document.querySelector('#spectator-stats');
+  const spectatorPieces = document.querySelector('#spectator-pieces');
+  const spectatorStopButton = document.querySelector('#spectator-stop');
+
+  const SPECTATOR_STATUS_TEXT = {
+    [SPECTATOR_STATE.IDLE]: '',
+    [SPECTATOR_STATE.CONNECTING]: 'Connecting...',
+    [SPECTATOR_STATE.WATCHING]: 'Watching',
+    [SPECTATOR_STATE.RESYNCING]: 'Catching up...',
+    [SPECTATOR_STATE.ENDED]: 'The game is no longer broadcast',
+  };
+
+  broadcastToggle.addEventListener('change', () => {
+    if (broadcastToggle.checked) {
+      spectatorBroadcaster.start(playerNameInput.value.trim());
+    } else {
+      spectatorBroadcaster.stop();
+    }
+  });
+
+  spectatorViewer.setGamesCallback((games) => {
+    spectateGamesSelect.replaceChildren(...games.map(({gameId, name}) => {
+      const option = document.createElement('option');
+      option.value = gameId;
+      option.textContent = `${name || 'Anonymous'} (#${gameId})`;
+      return option;
+    }));
+    spectateWatchButton.disabled = games.length === 0;
+  });
+
+  spectatorViewer.setStateCallback((state) => {
+    spectatorStatus.textContent = SPECTATOR_STATUS_TEXT[state];
+  });
+
+  spectatorViewer.setUpdateCallback(() => {
+    const stats = spectatorViewer.getStats();
+    spectatorStats.textContent = stats
+      ? `Score: ${stats.score} | Lines: ${stats.linesCleared} | Level: ${stats.level}`
+      : '';
+    const hold = spectatorViewer.getHold() || '-';
+    spectatorPieces.textContent = `Hold: ${hold} | Next: ${spectatorViewer.getNext().join(' ')}`;
+    scheduler.invalidate('spectator');
+  });
+
+  spectateRefreshButton.addEventListener('click', () => spectatorViewer.refreshGames());
+  spectateWatchButton.disabled = true;
+  spectateWatchButton.addEventListener('click', () => {
+    if (spectateGamesSelect.value === '') {
+      return;
+    }
+    spectatorViewer.watch(Number(spectateGamesSelect.value));
+    spectatorPanel.hidden = false;
+  });
+  spectatorStopButton.addEventListener('click', () => {
+    spectatorViewer.stop();
+    spectatorPanel.hidden = true;
+  });
+
+  // Initial render, the game starts once a mode is picked
+  render();
+  renderHold();
+  renderQueue();
+  updateTimerDisplay();
+
+  // Game loop: advance the grid in fixed ticks for the time elapsed between animation frames
+  let lastFrameTime = null;
+  let tickAccumulatorMs = 0;
+
+  function frame(time) {
+    // Clamp long gaps (e.g. a throttled tab) so the game doesn't fast-forward
+    const deltaMs = lastFrameTime === null ? 0 : Math.min(time - lastFrameTime, MAX_FRAME_DELTA_MS);
+    lastFrameTime = time;
+
+    gamepadInput.poll();
+
+    if (replayPlayer) {
+      replayPlayer.update(deltaMs);
+      replaySeekInput.value = replayPlayer.getTick();
+      render();
+    } else if (isMenuOpen() || isWaitingForRound()) {
+      tickAccumulatorMs = 0;
+    } else if (!pauseController.isRunning()) {
+      pauseController.update(deltaMs);
+    } else {
+      tickAccumulatorMs += deltaMs;
+      if (tickAccumulatorMs >= FRAME_MS) {
+        // Gravity and lock delay change the board without an action
+        render();
+      }
+      while (tickAccumulatorMs >= FRAME_MS) {
+        tickAccumulatorMs -= FRAME_MS;
+        inputController.update(FRAME_MS, getGravityIntervalMs(grid.getLevel()));
+        grid.update(FRAME_MS);
+        gameMode.update(grid);
+      }
+    }
+
+    if (grid.isPlaying()) {
+      updateTimerDisplay();
+    }
+    spectatorBroadcaster.update(deltaMs);
+    // Everything invalidated this frame is drawn in one batch
+    scheduler.flush();
+    requestAnimationFrame(frame);
+  }
+
+  requestAnimationFrame(frame);
 })();
@@ -0,0 +1,43 @@
+import {T_SPIN} from './stats.js';
+
+// Garbage lines sent for line clears (guideline attack table), indexed by lines cleared
+const ATTACK_LINES = [0, 0, 1, 2, 4];
+const ATTACK_T_SPIN = [0, 2, 4, 6];
+const ATTACK_T_SPIN_MINI = [0, 0, 1];
+
+// Extra lines for back-to-back clears and perfect clears
+const ATTACK_BACK_TO_BACK = 1;
+const ATTACK_PERFECT_CLEAR = 10;
+
+// Extra lines by combo count, the last value repeats for longer combos
+const ATTACK_COMBO = [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+
+// Value at index, clamped to the end of the table
+function lookup(table, index) {
+  return table[Math.min(index, table.length - 1)];
+}
+
+// Garbage lines sent for a clear returned by Stats.addClear()
+export function getAttackLines({linesCleared, tSpin, backToBack, combo, perfectClear}) {
+  if (linesCleared <= 0) {
+    return 0;
+  }
+
+  let lines;
+  if (tSpin === T_SPIN.FULL) {
+    lines = lookup(ATTACK_T_SPIN, linesCleared);
+  } else if (tSpin === T_SPIN.MINI) {
+    lines = lookup(ATTACK_T_SPIN_MINI, linesCleared);
+  } else {
+    lines = lookup(ATTACK_LINES, linesCleared);
+  }
+
+  if (backToBack) {
+    lines += ATTACK_BACK_TO_BACK;
+  }
+  lines += lookup(ATTACK_COMBO, combo);
+  if (perfectClear) {
+    lines += ATTACK_PERFECT_CLEAR;
+  }
+  return lines;
+}
@@ -0,0 +1,62 @@
+// Background of surfaces that don't set a clear color
+export const DEFAULT_CLEAR_COLOR = {r: 0.0, g: 0.0, b: 0.0, a: 1.0};
+
+// How the ghost piece is drawn
+export const GHOST_STYLE = {
+  TRANSLUCENT: 'translucent',
+  OUTLINE: 'outline',
+};
+
+// Fraction of each cell left empty on every side, cells are drawn with a gap between them
+export const CELL_PADDING = 0.1;
+
+// Progress of an animation from 0 to 1 at animation.timeMs
+export function getAnimationProgress(animation, startMs, durationMs) {
+  const progress = (animation.timeMs - startMs) / Math.max(durationMs, 1);
+  return Math.min(Math.max(progress, 0), 1);
+}
+
+// Interface implemented by the WebGPU and Canvas2D renderers
+// A surface is a canvas split vertically into one or more slots (e.g. the next queue),
+// each slot showing a grid of columns × rows cells.
+// Slots are drawn from {cellColors, cellInfo, centerOffset, dirtyStart, dirtyEnd}:
+// - cellColors: RGBA floats per cell, row-major with row 0 at the bottom
+// - cellInfo: kind, same-piece neighbours and animation flags per cell
+//   (see CELL_KIND, CELL_CONNECTION and CELL_FLAG in grid.js)
+// - centerOffset: [columns, rows] to shift the cells by, used to center preview pieces
+// - dirtyStart/dirtyEnd (optional): only these cells changed since the slot was last drawn
+// rows may be fractional, the top row is then cut off by the edge of the canvas.
+export class BaseRenderer {
+  constructor() {
+    // Called when surfaces lost their contents and everything needs to be drawn again
+    this.onRestore = null;
+  }
+
+  // Set callback for redrawing after the surfaces were restored
+  setRestoreCallback(callback) {
+    this.onRestore = callback;
+  }
+
+  // Set up the rendering backend, throws if it is unavailable
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  // Prepare a canvas for drawing, returns a surface to pass to draw()
+  // options: {columns, rows, slots, clearColor, ghostStyle, connectCells, label}
+  createSurface(canvas, options) {
+    throw new Error(`${this.constructor.name} does not implement createSurface()`);
+  }
+
+  // Draw a batch of surfaces, passes: [{surface, slots, animation}]
+  // Each surface is cleared and every slot drawn.
+  // animation (optional) holds the timers of flagged cells, see Grid.getAnimationState().
+  draw(passes) {
+    throw new Error(`${this.constructor.name} does not implement draw()`);
+  }
+
+  // Number of cells drawn per slot
+  static getCellCount(columns, rows) {
+    return columns * Math.ceil(rows);
+  }
+}
@@ -0,0 +1,145 @@
+import {ACTIONS} from './actions.js';
+
+// Default keyboard layout, keys are KeyboardEvent.code values
+export const DEFAULT_KEY_BINDINGS = {
+  [ACTIONS.MOVE_LEFT]: ['ArrowLeft'],
+  [ACTIONS.MOVE_RIGHT]: ['ArrowRight'],
+  [ACTIONS.SOFT_DROP]: ['ArrowDown'],
+  [ACTIONS.HARD_DROP]: ['Space'],
+  [ACTIONS.ROTATE_CW]: ['ArrowUp', 'KeyX'],
+  [ACTIONS.ROTATE_CCW]: ['KeyZ'],
+  [ACTIONS.HOLD]: ['KeyC'],
+  [ACTIONS.PAUSE]: ['Escape', 'KeyP'],
+};
+
+// Action -> inputs mapping, persisted in localStorage
+// An action can have several inputs, an input belongs to at most one action.
+export class Bindings {
+  constructor(defaults, storageKey) {
+    this.defaults = defaults;
+    this.storageKey = storageKey;
+    this.bindings = Bindings.copy(defaults);
+
+    // Callback for binding changes
+    this.onChange = null;
+
+    this.load();
+  }
+
+  static copy(bindings) {
+    const result = {};
+    for (const [action, inputs] of Object.entries(bindings)) {
+      result[action] = [...inputs];
+    }
+    return result;
+  }
+
+  // Load saved bindings, actions missing from storage keep their defaults
+  // Saved actions sharing an input, or listing one twice, fall back to their defaults as well.
+  // Defaults never take an input from a saved action, like bind() with replace moves it.
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.error('Failed to load bindings:', error);
+    }
+
+    if (!saved || typeof saved !== 'object') {
+      return;
+    }
+
+    const savedInputs = {};
+    const inputCounts = new Map();
+    for (const action of Object.keys(this.defaults)) {
+      if (Array.isArray(saved[action])) {
+        savedInputs[action] = saved[action].filter((input) => typeof input === 'string');
+        savedInputs[action].forEach((input) => inputCounts.set(input, (inputCounts.get(input) || 0) + 1));
+      }
+    }
+
+    const taken = new Set();
+    for (const [action, inputs] of Object.entries(savedInputs)) {
+      if (inputs.every((input) => inputCounts.get(input) === 1)) {
+        inputs.forEach((input) => taken.add(input));
+      } else {
+        delete savedInputs[action];
+      }
+    }
+
+    for (const action of Object.keys(this.defaults)) {
+      this.bindings[action] = savedInputs[action] || this.defaults[action].filter((input) => !taken.has(input));
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.error('Failed to save bindings:', error);
+    }
+  }
+
+  changed() {
+    this.save();
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  // Set callback for binding changes
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+
+  // Get the actions that can be bound
+  getActions() {
+    return Object.keys(this.defaults);
+  }
+
+  // Get the inputs bound to an action
+  getInputs(action) {
+    return [...(this.bindings[action] || [])];
+  }
+
+  // Get the action bound to an input, or null
+  getAction(input) {
+    for (const [action, inputs] of Object.entries(this.bindings)) {
+      if (inputs.includes(input)) {
+        return action;
+      }
+    }
+    return null;
+  }
+
+  // Bind an input to an action
+  // If the input already belongs to another action, nothing changes unless replace is set,
+  // in which case it is moved. Returns the conflicting action, or null.
+  bind(action, input, {replace = false} = {}) {
+    const conflict = this.getAction(input);
+    if (conflict === action) {
+      return null;
+    }
+    if (conflict && !replace) {
+      return conflict;
+    }
+
+    if (conflict) {
+      this.bindings[conflict] = this.bindings[conflict].filter((i) => i !== input);
+    }
+    this.bindings[action].push(input);
+    this.changed();
+    return conflict;
+  }
+
+  // Remove an input from an action
+  unbind(action, input) {
+    this.bindings[action] = this.bindings[action].filter((i) => i !== input);
+    this.changed();
+  }
+
+  resetToDefaults() {
+    this.bindings = Bindings.copy(this.defaults);
+    this.changed();
+  }
+}
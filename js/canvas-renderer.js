@@ -0,0 +1,130 @@
+import {BaseRenderer, CELL_PADDING, DEFAULT_CLEAR_COLOR, GHOST_STYLE, getAnimationProgress} from './base-renderer.js';
+import {CELL_CONNECTION, CELL_FLAG, CELL_KIND} from './grid.js';
+
+// Ghost piece and trail opacity, and how white the lock flash starts, as in the shader
+const GHOST_ALPHA = 0.3;
+const TRAIL_ALPHA = 0.4;
+const LOCK_FLASH_STRENGTH = 0.6;
+
+// Convert a color with 0-1 channels to a CSS color, alpha is ignored like the opaque WebGPU canvas
+function toCssColor(r, g, b) {
+  return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
+
+// Canvas2D fallback for browsers (and CI machines) without WebGPU
+// Draws the same cell data as the WebGPU renderer, with flat cells instead of bevels.
+export class CanvasRenderer extends BaseRenderer {
+  async initialize() {
+    console.log('Using the Canvas2D renderer.');
+  }
+
+  createSurface(canvas, {
+    columns,
+    rows,
+    slots = 1,
+    clearColor = DEFAULT_CLEAR_COLOR,
+    ghostStyle = GHOST_STYLE.TRANSLUCENT,
+    connectCells = false,
+  }) {
+    const context = canvas.getContext('2d');
+    if (!context) {
+      throw new Error('Canvas2D is not supported in this browser.');
+    }
+
+    return {
+      canvas,
+      context,
+      columns,
+      rows,
+      slotCount: slots,
+      cellCount: BaseRenderer.getCellCount(columns, rows),
+      clearColor: toCssColor(clearColor.r, clearColor.g, clearColor.b),
+      ghostStyle,
+      connectCells,
+    };
+  }
+
+  draw(passes) {
+    passes.forEach(({surface, slots, animation}) => this.drawSurface(surface, slots, animation));
+  }
+
+  // Canvas2D keeps no cell data, the whole surface is redrawn
+  // Animations are simplified, clearing rows shrink while fading from white.
+  drawSurface(surface, slots, animation = null) {
+    const {canvas, context, columns, rows, slotCount, cellCount} = surface;
+    context.fillStyle = surface.clearColor;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const slotHeight = canvas.height / slotCount;
+    const cellWidth = canvas.width / columns;
+    const cellHeight = slotHeight / rows;
+    const padX = cellWidth * CELL_PADDING;
+    const padY = cellHeight * CELL_PADDING;
+
+    slots.forEach(({cellColors, cellInfo, centerOffset}, slot) => {
+      // Row 0 sits on the bottom edge of the slot
+      const slotBottom = slotHeight * (slot + 1);
+      const [offsetCol, offsetRow] = centerOffset;
+
+      // Clip to the slot like the WebGPU viewport
+      context.save();
+      context.beginPath();
+      context.rect(0, slotBottom - slotHeight, canvas.width, slotHeight);
+      context.clip();
+
+      for (let i = 0; i < cellCount; i++) {
+        const col = i % columns + offsetCol;
+        const row = Math.floor(i / columns) + offsetRow;
+        const kind = cellInfo[i] & 0xff;
+        const connections = surface.connectCells ? cellInfo[i] >> 8 : 0;
+
+        // Close the gap towards connected neighbours
+        const left = col * cellWidth + (connections & CELL_CONNECTION.LEFT ? 0 : padX);
+        const right = (col + 1) * cellWidth - (connections & CELL_CONNECTION.RIGHT ? 0 : padX);
+        const top = slotBottom - (row + 1) * cellHeight + (connections & CELL_CONNECTION.UP ? 0 : padY);
+        const bottom = slotBottom - row * cellHeight - (connections & CELL_CONNECTION.DOWN ? 0 : padY);
+
+        let whiten = 0;
+        let shrink = 0;
+        let alpha = 1;
+        if (animation) {
+          if (cellInfo[i] & CELL_FLAG.LOCK_FLASH) {
+            whiten = LOCK_FLASH_STRENGTH * (1 - getAnimationProgress(
+              animation, animation.lockFlashStartMs, animation.lockFlashDurationMs));
+          }
+          if (cellInfo[i] & CELL_FLAG.CLEARING) {
+            shrink = getAnimationProgress(animation, animation.lineClearStartMs, animation.lineClearDurationMs);
+            whiten = 1 - shrink;
+          }
+          if (kind === CELL_KIND.TRAIL) {
+            alpha = TRAIL_ALPHA * (1 - getAnimationProgress(animation, animation.trailStartMs, animation.trailDurationMs));
+          }
+        } else if (kind === CELL_KIND.TRAIL) {
+          continue;
+        }
+
+        const [r, g, b] = [0, 1, 2].map((c) => {
+          const channel = cellColors[i * 4 + c];
+          return channel + (1 - channel) * whiten;
+        });
+        const color = toCssColor(r, g, b);
+        if (shrink > 0) {
+          const insetX = (right - left) * shrink / 2;
+          const insetY = (bottom - top) * shrink / 2;
+          context.fillStyle = color;
+          context.fillRect(left + insetX, top + insetY, right - left - insetX * 2, bottom - top - insetY * 2);
+        } else if (kind === CELL_KIND.GHOST && surface.ghostStyle === GHOST_STYLE.OUTLINE) {
+          context.strokeStyle = color;
+          context.lineWidth = padX;
+          context.strokeRect(left + padX / 2, top + padX / 2, right - left - padX, bottom - top - padX);
+        } else {
+          context.globalAlpha = kind === CELL_KIND.GHOST ? GHOST_ALPHA : alpha;
+          context.fillStyle = color;
+          context.fillRect(left, top, right - left, bottom - top);
+          context.globalAlpha = 1;
+        }
+      }
+      context.restore();
+    });
+  }
+}
@@ -0,0 +1,144 @@
+import {ACTIONS} from './actions.js';
+
+// Display names of bindable actions
+export const ACTION_LABELS = {
+  [ACTIONS.MOVE_LEFT]: 'Move left',
+  [ACTIONS.MOVE_RIGHT]: 'Move right',
+  [ACTIONS.SOFT_DROP]: 'Soft drop',
+  [ACTIONS.HARD_DROP]: 'Hard drop',
+  [ACTIONS.ROTATE_CW]: 'Rotate clockwise',
+  [ACTIONS.ROTATE_CCW]: 'Rotate counter-clockwise',
+  [ACTIONS.HOLD]: 'Hold',
+  [ACTIONS.PAUSE]: 'Pause',
+};
+
+// Format a KeyboardEvent.code for display, e.g. "KeyX" -> "X"
+export function formatKey(code) {
+  return code.replace(/^(Key|Digit)/, '');
+}
+
+// Settings panel listing the inputs bound to each action
+// Click "+" to bind the next key pressed, "×" to remove a key.
+// Other devices set captureKeys to false and feed inputs through captureInput().
+export class ControlsPanel {
+  constructor(container, bindings, {
+    formatInput = formatKey,
+    captureKeys = true,
+    listenPrompt = 'Press a key…',
+  } = {}) {
+    this.container = container;
+    this.bindings = bindings;
+    this.formatInput = formatInput;
+    this.listenPrompt = listenPrompt;
+
+    // Action waiting for an input to bind, or null
+    this.listeningAction = null;
+
+    // Capture keys before the game handlers while listening
+    if (captureKeys) {
+      window.addEventListener('keydown', (event) => this.handleKeyDown(event), true);
+    }
+
+    this.render();
+  }
+
+  isListening() {
+    return this.listeningAction !== null;
+  }
+
+  startListening(action) {
+    this.listeningAction = action;
+    this.render();
+  }
+
+  stopListening() {
+    this.listeningAction = null;
+    this.render();
+  }
+
+  handleKeyDown(event) {
+    if (!this.isListening()) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.code === 'Escape') {
+      this.stopListening();
+      return;
+    }
+    this.captureInput(event.code);
+  }
+
+  // Bind an input to the listening action, asking before taking it from another action
+  captureInput(input) {
+    const action = this.listeningAction;
+    if (!action) {
+      return;
+    }
+
+    const conflict = this.bindings.bind(action, input);
+    if (conflict) {
+      const message = `${this.formatInput(input)} is already bound to "${ACTION_LABELS[conflict]}". ` +
+        `Bind it to "${ACTION_LABELS[action]}" instead?`;
+      if (window.confirm(message)) {
+        this.bindings.bind(action, input, {replace: true});
+      }
+    }
+    this.stopListening();
+  }
+
+  render() {
+    const rows = this.bindings.getActions().map((action) => {
+      const row = document.createElement('div');
+      row.className = 'binding-row';
+
+      const label = document.createElement('span');
+      label.className = 'binding-label';
+      label.textContent = ACTION_LABELS[action] || action;
+      row.append(label);
+
+      const inputs = document.createElement('span');
+      inputs.className = 'binding-inputs';
+      for (const input of this.bindings.getInputs(action)) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'binding-input';
+        chip.title = 'Remove';
+        chip.textContent = `${this.formatInput(input)} ×`;
+        chip.addEventListener('click', () => {
+          this.bindings.unbind(action, input);
+          this.render();
+        });
+        inputs.append(chip);
+      }
+
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.className = 'binding-add';
+      if (this.listeningAction === action) {
+        add.textContent = this.listenPrompt;
+        add.addEventListener('click', () => this.stopListening());
+      } else {
+        add.textContent = '+';
+        add.title = 'Add binding';
+        add.addEventListener('click', () => this.startListening(action));
+      }
+      inputs.append(add);
+
+      row.append(inputs);
+      return row;
+    });
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'binding-reset';
+    reset.textContent = 'Reset to defaults';
+    reset.addEventListener('click', () => {
+      this.bindings.resetToDefaults();
+      this.stopListening();
+    });
+
+    this.container.replaceChildren(...rows, reset);
+  }
+}
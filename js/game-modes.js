@@ -0,0 +1,190 @@
+// Selectable game modes
+export const GAME_MODE = {
+  MARATHON: 'marathon',
+  SPRINT: 'sprint',
+  ULTRA: 'ultra',
+};
+
+// Reasons a game mode ends the game, next to the grid's TOP_OUT_REASON values
+export const GAME_END_REASON = {
+  GOAL_REACHED: 'goalReached',
+  TIME_UP: 'timeUp',
+  OPPONENT_TOPPED_OUT: 'opponentToppedOut', // Versus: the last player standing wins
+};
+
+// Format milliseconds as m:ss.cc
+// Game time advances in 1/60 s ticks, so hundredths are the finest digits that mean something.
+// Rounded to whole milliseconds first, tick times add up to values like 999.9999.
+export function formatTime(ms) {
+  const totalCentis = Math.floor(Math.max(0, Math.round(ms)) / 10);
+  const minutes = Math.floor(totalCentis / 6000);
+  const seconds = Math.floor(totalCentis / 100) % 60;
+  const centis = totalCentis % 100;
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${String(centis).padStart(2, '0')}`;
+}
+
+// Rules layered over Grid and Stats: level cap, goal and end screen
+// Modes keep no state of their own, everything is read from the grid,
+// so the same instance works for live games, replays and seeking.
+// The base class is endless play without a level cap.
+export class GameMode {
+  constructor(id = null, name = 'Endless', {maxLevel = Infinity} = {}) {
+    this.id = id;
+    this.name = name;
+    this.maxLevel = maxLevel;
+  }
+
+  // Apply the mode's start conditions, call after the grid is reset
+  start(grid) {
+    grid.getStats().setMaxLevel(this.maxLevel);
+  }
+
+  // Reason to end the game now (see GAME_END_REASON), or null to keep playing
+  checkGoal(grid) {
+    return null;
+  }
+
+  // End the game once the goal is met, call after every grid update
+  update(grid) {
+    if (!grid.isPlaying()) {
+      return;
+    }
+
+    const reason = this.checkGoal(grid);
+    if (reason) {
+      grid.endGame(reason);
+    }
+  }
+
+  // Label and value of the timer shown while playing
+  getTimerLabel() {
+    return 'Time';
+  }
+
+  getTimerMs(grid) {
+    return grid.getGameTime();
+  }
+
+  // Final results from a 'gameOver' event
+  getResults({reason, score, linesCleared, level, timeMs}) {
+    return {
+      mode: this.id,
+      completed: reason === GAME_END_REASON.GOAL_REACHED || reason === GAME_END_REASON.TIME_UP,
+      score,
+      linesCleared,
+      level,
+      timeMs,
+    };
+  }
+
+  // End screen title and summary line
+  getEndTitle(results) {
+    return results.completed ? 'Complete!' : 'Game Over';
+  }
+
+  getEndSummary({score, linesCleared, level}) {
+    return `Score: ${score} | Lines: ${linesCleared} | Level: ${level}`;
+  }
+
+  // Whether a finished game goes on the leaderboard
+  isRanked(results) {
+    return true;
+  }
+
+  // Leaderboard order, best first
+  compareEntries(a, b) {
+    return b.score - a.score;
+  }
+
+  // Main value shown for a leaderboard entry
+  formatEntry(entry) {
+    return String(entry.score);
+  }
+}
+
+// Clear 150 lines, speed stops increasing at level 15
+export class MarathonMode extends GameMode {
+  constructor({maxLevel = 15, goalLines = 150} = {}) {
+    super(GAME_MODE.MARATHON, 'Marathon', {maxLevel});
+    this.goalLines = goalLines;
+  }
+
+  checkGoal(grid) {
+    return grid.getLinesCleared() >= this.goalLines ? GAME_END_REASON.GOAL_REACHED : null;
+  }
+}
+
+// Clear 40 lines as fast as possible at level 1 speed
+export class SprintMode extends GameMode {
+  constructor({goalLines = 40} = {}) {
+    super(GAME_MODE.SPRINT, 'Sprint', {maxLevel: 1});
+    this.goalLines = goalLines;
+  }
+
+  checkGoal(grid) {
+    return grid.getLinesCleared() >= this.goalLines ? GAME_END_REASON.GOAL_REACHED : null;
+  }
+
+  getEndSummary({completed, linesCleared, timeMs}) {
+    if (completed) {
+      return `Time: ${formatTime(timeMs)}`;
+    }
+    return `Lines: ${linesCleared}/${this.goalLines} | Time: ${formatTime(timeMs)}`;
+  }
+
+  // Only finished sprints are ranked, fastest first
+  isRanked(results) {
+    return results.completed;
+  }
+
+  compareEntries(a, b) {
+    return a.durationMs - b.durationMs;
+  }
+
+  formatEntry(entry) {
+    return formatTime(entry.durationMs);
+  }
+}
+
+// Score as much as possible in 2 minutes at level 1 speed
+export class UltraMode extends GameMode {
+  constructor({durationMs = 120000} = {}) {
+    super(GAME_MODE.ULTRA, 'Ultra', {maxLevel: 1});
+    this.durationMs = durationMs;
+  }
+
+  checkGoal(grid) {
+    return grid.getGameTime() >= this.durationMs ? GAME_END_REASON.TIME_UP : null;
+  }
+
+  getTimerLabel() {
+    return 'Time left';
+  }
+
+  getTimerMs(grid) {
+    return Math.max(0, this.durationMs - grid.getGameTime());
+  }
+
+  getEndTitle(results) {
+    return results.completed ? 'Time Up!' : 'Game Over';
+  }
+
+  getEndSummary({score, linesCleared}) {
+    return `Score: ${score} | Lines: ${linesCleared}`;
+  }
+}
+
+const GAME_MODE_CLASSES = {
+  [GAME_MODE.MARATHON]: MarathonMode,
+  [GAME_MODE.SPRINT]: SprintMode,
+  [GAME_MODE.ULTRA]: UltraMode,
+};
+
+// Create a game mode by id
+export function createGameMode(id) {
+  const Mode = GAME_MODE_CLASSES[id];
+  if (!Mode) {
+    throw new Error(`Unknown game mode: ${id}`);
+  }
+  return new Mode();
+}
@@ -0,0 +1,151 @@
+import {ACTIONS} from './actions.js';
+
+// Stick deflection needed to count as a direction
+const AXIS_DEADZONE = 0.5;
+
+// Default controller layout for the standard gamepad mapping
+// Inputs are "Button<index>" or "Axis<Direction>" for the left stick
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  [ACTIONS.MOVE_LEFT]: ['Button14', 'AxisLeft'],
+  [ACTIONS.MOVE_RIGHT]: ['Button15', 'AxisRight'],
+  [ACTIONS.SOFT_DROP]: ['Button13', 'AxisDown'],
+  [ACTIONS.HARD_DROP]: ['Button12'],
+  [ACTIONS.ROTATE_CW]: ['Button0'],
+  [ACTIONS.ROTATE_CCW]: ['Button1'],
+  [ACTIONS.HOLD]: ['Button4', 'Button5'],
+  [ACTIONS.PAUSE]: ['Button9'],
+};
+
+// Button names in the standard gamepad mapping
+const STANDARD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home',
+];
+
+// Format a gamepad input for display, e.g. "Button0" -> "A"
+export function formatGamepadInput(input) {
+  const buttonMatch = input.match(/^Button(\d+)$/);
+  if (buttonMatch) {
+    return STANDARD_BUTTON_NAMES[Number(buttonMatch[1])] || `Button ${buttonMatch[1]}`;
+  }
+  return input.replace(/^Axis/, 'Stick ');
+}
+
+// Polls the Gamepad API and reports bound actions being pressed and released
+export class GamepadInput {
+  constructor(bindings) {
+    this.bindings = bindings;
+
+    // Index of the active gamepad, or null
+    this.gamepadIndex = null;
+
+    // Inputs and actions held on the previous poll
+    this.heldInputs = new Set();
+    this.heldActions = new Set();
+
+    // Callbacks
+    this.onPress = null;        // (action)
+    this.onRelease = null;      // (action)
+    this.onInputPress = null;   // (input) => true to consume the input, e.g. while remapping
+    this.onConnectionChange = null; // (gamepad or null)
+
+    window.addEventListener('gamepadconnected', (event) => {
+      if (this.gamepadIndex === null) {
+        this.gamepadIndex = event.gamepad.index;
+        this.triggerConnectionChange(event.gamepad);
+      }
+    });
+
+    window.addEventListener('gamepaddisconnected', (event) => {
+      if (event.gamepad.index !== this.gamepadIndex) {
+        return;
+      }
+
+      this.releaseAll();
+      this.gamepadIndex = null;
+
+      // Switch to another connected gamepad if there is one
+      const next = this.getGamepads().find((gamepad) => gamepad && gamepad.connected);
+      if (next) {
+        this.gamepadIndex = next.index;
+      }
+      this.triggerConnectionChange(next || null);
+    });
+  }
+
+  getGamepads() {
+    return navigator.getGamepads ? [...navigator.getGamepads()] : [];
+  }
+
+  triggerConnectionChange(gamepad) {
+    if (this.onConnectionChange) {
+      this.onConnectionChange(gamepad);
+    }
+  }
+
+  // Get the inputs currently pressed on a gamepad
+  readInputs(gamepad) {
+    const inputs = new Set();
+    gamepad.buttons.forEach((button, index) => {
+      if (button.pressed) {
+        inputs.add(`Button${index}`);
+      }
+    });
+
+    const [x = 0, y = 0] = gamepad.axes;
+    if (x <= -AXIS_DEADZONE) inputs.add('AxisLeft');
+    if (x >= AXIS_DEADZONE) inputs.add('AxisRight');
+    if (y <= -AXIS_DEADZONE) inputs.add('AxisUp');
+    if (y >= AXIS_DEADZONE) inputs.add('AxisDown');
+    return inputs;
+  }
+
+  // Read the gamepad state, call once per frame from the game loop
+  poll() {
+    if (this.gamepadIndex === null) {
+      return;
+    }
+
+    const gamepad = this.getGamepads()[this.gamepadIndex];
+    if (!gamepad) {
+      return;
+    }
+
+    const inputs = this.readInputs(gamepad);
+    const actions = new Set();
+    for (const input of inputs) {
+      const wasHeld = this.heldInputs.has(input);
+      if (!wasHeld && this.onInputPress && this.onInputPress(input)) {
+        continue;
+      }
+
+      const action = this.bindings.getAction(input);
+      if (action && (wasHeld ? this.heldActions.has(action) : true)) {
+        actions.add(action);
+      }
+    }
+    this.heldInputs = inputs;
+
+    this.updateActions(actions);
+  }
+
+  // Report differences between held actions and the previous poll
+  updateActions(actions) {
+    for (const action of this.heldActions) {
+      if (!actions.has(action) && this.onRelease) {
+        this.onRelease(action);
+      }
+    }
+    for (const action of actions) {
+      if (!this.heldActions.has(action) && this.onPress) {
+        this.onPress(action);
+      }
+    }
+    this.heldActions = actions;
+  }
+
+  // Release all held actions (e.g. on disconnect or when bindings change)
+  releaseAll() {
+    this.updateActions(new Set());
+  }
+}
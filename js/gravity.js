@@ -0,0 +1,50 @@
+// Gravity is expressed in frames per row at 60 frames per second
+export const FRAMES_PER_SECOND = 60;
+export const FRAME_MS = 1000 / FRAMES_PER_SECOND;
+
+// 20G: the piece falls 20 rows every frame, i.e. lands instantly
+export const GRAVITY_20G = 1 / 20;
+
+// Guideline gravity curve, indexed by level (index 0 unused)
+// seconds per row = (0.8 - (level - 1) * 0.007) ^ (level - 1)
+// Levels past the end of the table use 20G
+const FRAMES_PER_ROW = [
+  null,
+  60.0,  // Level 1
+  47.58, // Level 2
+  37.07, // Level 3
+  28.36, // Level 4
+  21.31, // Level 5
+  15.72, // Level 6
+  11.38, // Level 7
+  8.08,  // Level 8
+  5.63,  // Level 9
+  3.85,  // Level 10
+  2.58,  // Level 11
+  1.69,  // Level 12
+  1.09,  // Level 13
+  0.69,  // Level 14
+  0.42,  // Level 15
+  0.26,  // Level 16
+  0.15,  // Level 17
+  0.09,  // Level 18
+];
+
+// Get the number of frames it takes a piece to fall one row at a level
+export function getFramesPerRow(level) {
+  const index = Math.max(1, Math.floor(level));
+  if (index >= FRAMES_PER_ROW.length) {
+    return GRAVITY_20G;
+  }
+  return FRAMES_PER_ROW[index];
+}
+
+// Get the time in milliseconds it takes a piece to fall one row at a level
+export function getGravityIntervalMs(level) {
+  return getFramesPerRow(level) * FRAME_MS;
+}
+
+// Check if a level drops pieces straight to the floor
+export function isInstantGravity(level) {
+  return getFramesPerRow(level) <= GRAVITY_20G;
+}
@@ -1,8 +1,120 @@
 import {Tetromino, TETROMINOES} from './tetromino.js';
-import {Stats} from './stats.js';
+import {Stats, T_SPIN} from './stats.js';
+import {FRAME_MS, getGravityIntervalMs, isInstantGravity} from './gravity.js';
+import {SeededRandom} from './random.js';
+import {getAttackLines} from './attack.js';
 
 const STATE_ORDER = ['0', 'R', '2', 'L'];
 
+// Game state machine
+// playing -> toppedOut (block out / lock out, remaining cells settle) -> over
+export const GAME_STATE = {
+  PLAYING: 'playing',
+  TOPPED_OUT: 'toppedOut',
+  OVER: 'over',
+};
+
+// Reasons for topping out
+export const TOP_OUT_REASON = {
+  BLOCK_OUT: 'blockOut', // new piece spawns overlapping the stack
+  LOCK_OUT: 'lockOut',   // piece locks entirely above the visible playfield
+  TOP_OUT: 'topOut',     // garbage pushes the stack past the top of the buffer
+};
+
+
+// How moving the active piece resets the lock delay timer
+export const LOCK_RESET_MODE = {
+  MOVE: 'move',         // Moves and rotations reset the timer, up to maxLockResets times per row reached
+  STEP: 'step',         // Only moving down a row resets the timer
+  INFINITE: 'infinite', // Every move and rotation resets the timer
+};
+
+// What a cell shows, read by the cell shader (shaders/cell.wgsl)
+export const CELL_KIND = {
+  EMPTY: 0,
+  LOCKED: 1,
+  ACTIVE: 2,
+  GHOST: 3,
+  TRAIL: 4, // Streak left behind by a hard drop
+};
+
+// Animation flags of a cell, bits 12 and up of the packed cell info
+export const CELL_FLAG = {
+  CLEARING: 1 << 12,   // Row is completed and waiting for the line clear delay
+  LOCK_FLASH: 1 << 13, // Piece just locked
+};
+
+// Where the holes of incoming garbage rows are
+export const GARBAGE_PATTERN = {
+  CLEAN: 'clean', // All rows of one attack share a hole column
+  MESSY: 'messy', // Every row has its own random hole column
+};
+
+// Color of garbage cells
+const GARBAGE_COLOR = [0.3, 0.3, 0.3, 1.0];
+
+// Mixed into the seed of the garbage hole generator so it doesn't repeat the piece sequence's numbers
+const GARBAGE_SEED_MIX = 0x9E3779B9;
+
+// Durations of the lock flash and hard drop trail animations, in game time
+const LOCK_FLASH_MS = 150;
+const HARD_DROP_TRAIL_MS = 200;
+
+// Neighbours belonging to the same piece, bits 8-11 of the packed cell info
+export const CELL_CONNECTION = {
+  UP: 1,
+  RIGHT: 2,
+  DOWN: 4,
+  LEFT: 8,
+};
+
+// Piece ids of the overlaid cells, locked pieces count up from 1 and 0 is no piece
+const ACTIVE_PIECE_ID = -1;
+const GHOST_PIECE_ID = -2;
+
+// Parts of the packed cell info
+const CELL_KIND_MASK = 0xff;
+const CELL_FLAG_MASK = ~0xfff >>> 0;
+
+// Pack a cell kind, its connections and animation flags into the u32 read by the shader
+function packCellInfo(kind, connections, flags = 0) {
+  return kind | (connections << 8) | flags;
+}
+
+// Get the neighbours of a cell that belong to the same piece (see CELL_CONNECTION)
+function getConnections(pieceIds, width, height, cellIndex) {
+  const pieceId = pieceIds[cellIndex];
+  if (pieceId === 0) {
+    return 0;
+  }
+
+  const row = Math.floor(cellIndex / width);
+  const col = cellIndex % width;
+  let connections = 0;
+  if (row + 1 < height && pieceIds[cellIndex + width] === pieceId) {
+    connections |= CELL_CONNECTION.UP;
+  }
+  if (col + 1 < width && pieceIds[cellIndex + 1] === pieceId) {
+    connections |= CELL_CONNECTION.RIGHT;
+  }
+  if (row > 0 && pieceIds[cellIndex - width] === pieceId) {
+    connections |= CELL_CONNECTION.DOWN;
+  }
+  if (col > 0 && pieceIds[cellIndex - 1] === pieceId) {
+    connections |= CELL_CONNECTION.LEFT;
+  }
+  return connections;
+}
+
+// A T-spin using the last SRS kick (the 1x2 offset) is always a full T-spin
+const T_SPIN_FULL_KICK_INDEX = 4;
+
+// Interval between end game gravity steps after topping out
+const END_GRAVITY_INTERVAL_MS = 100;
+
+// Allowed length of the next piece queue
+const MIN_NEXT_QUEUE_SIZE = 1;
+const MAX_NEXT_QUEUE_SIZE = 6;
 
 // Function to generate a random color
 function getRandomColor() {
@@ -15,17 +127,41 @@ function getRandomColor() {
 }
 
 export class Grid {
-  constructor(width = 10, height = 20, previewGridSize = 4, lockDelayMs = 500,) {
+  constructor(width = 10, height = 20, previewGridSize = 4, lockDelayMs = 500, options = {}) {
+    this.options = {
+      nextQueueSize: 5,
+      seed: undefined, // Seed for the default random generator (random if omitted)
+      rng: null,       // Custom seedable random generator, see SeededRandom
+      lockResetMode: LOCK_RESET_MODE.MOVE,
+      maxLockResets: 15,
+      hiddenRows: 20, // Buffer rows above the visible playfield
+      lineClearDelayMs: 0, // Completed rows stay on the board this long before they collapse
+      entryDelayMs: 0,     // Delay between a piece locking and the next one spawning (ARE)
+      garbagePattern: GARBAGE_PATTERN.CLEAN,
+      garbageDelayMs: 0,   // Incoming garbage waits this long before it can rise, leaving time to cancel it
+      ...options,
+    };
+
     this.width = width;
-    this.height = height;
-    this.topRow = height - 1;
-    this.totalCells = width * height;
+    // height is the visible playfield, hidden buffer rows are stacked on top of it
+    // Rows at or above visibleHeight are outside the visible playfield
+    this.visibleHeight = height;
+    this.hiddenRows = this.options.hiddenRows;
+    this.height = height + this.hiddenRows;
+    // Pieces spawn in the two rows just above the visible playfield
+    this.spawnRow = Math.min(height + 1, this.height - 1);
+    this.totalCells = width * this.height;
     this.previewGridSize = previewGridSize;
 
     // Initialize all cells to gray
     this.cellColors = new Float32Array(this.totalCells * 4); // 4 floats per color (RGBA)
     // Boolean array to track if a cell is colored
     this.isCellColored = new Array(this.totalCells).fill(false);
+    // Piece each locked cell came from, used to draw pieces as connected blocks
+    this.pieceIds = new Int32Array(this.totalCells);
+    this.nextPieceId = 1;
+    // Animation flags per cell (see CELL_FLAG), moved along with the cells
+    this.cellFlags = new Uint32Array(this.totalCells);
 
     for (let i = 0; i < this.totalCells; i++) {
       this.cellColors[i * 4 + 0] = 0.5; // R
@@ -34,6 +170,17 @@ export class Grid {
       this.cellColors[i * 4 + 3] = 1.0; // A
     }
 
+    // Colors for rendering: locked cells with the shadow and active tetromino drawn on top
+    // Updated in place by getCellColors(), overlayCells are the cells currently drawn over.
+    this.renderColors = new Float32Array(this.cellColors);
+    this.renderPieceIds = new Int32Array(this.totalCells);
+    // Packed kind, connections and animation flags per cell, see getCellInfo()
+    this.renderInfo = new Uint32Array(this.totalCells);
+    this.overlayCells = [];
+
+    // Range of cells changed since the renderer last uploaded them [start, end)
+    this.dirtyRange = {start: 0, end: this.totalCells};
+
     // Current falling tetromino: {
     //      tetromino: Tetromino class,
     //      centerRow,
@@ -52,13 +199,225 @@ export class Grid {
     // Lock delay timer
     // delay before a non-moving tetromino is committed
     this.lockDelayMs = lockDelayMs;
-    this.lockDelayStartTime = null; // Timestamp when lock delay started
+    this.lockDelayStartTime = null; // Game time when lock delay started
+
+    // Lock delay resets, see LOCK_RESET_MODE
+    this.lockResetMode = this.options.lockResetMode;
+    this.maxLockResets = this.options.maxLockResets;
+    this.lockResets = 0;   // Resets used since the piece reached its lowest row
+    this.lowestRow = null; // Lowest center row the current piece has reached
+
+    // Game clock and number of updates, advanced by update()
+    this.gameTimeMs = 0;
+    this.tickCount = 0;
+
+    // Line clear and entry delays, the game waits on these timers between a lock and the next spawn
+    this.lineClearDelayMs = this.options.lineClearDelayMs;
+    this.entryDelayMs = this.options.entryDelayMs;
+    this.lineClearRemainingMs = 0; // Time left before the completed rows collapse
+    this.entryRemainingMs = 0;     // Time left before the next piece spawns
+    this.pendingTSpin = T_SPIN.NONE; // T-spin of the lock whose rows are clearing
+
+    // Incoming garbage, oldest first: [{lines, holeColumn, readyTimeMs}], see receiveGarbage()
+    this.garbageQueue = [];
+    this.garbagePattern = this.options.garbagePattern;
+    this.garbageDelayMs = this.options.garbageDelayMs;
+
+    // Hard drop trail drawn over the board: cells the piece dropped through and its color
+    this.trailCells = [];
+    this.trailColor = null;
+    this.lockFlashActive = false;
+
+    // Animation timers read by the cell shader, in game time (see getAnimationState)
+    this.animation = {
+      timeMs: 0,
+      lineClearStartMs: 0,
+      lineClearDurationMs: this.lineClearDelayMs,
+      lockFlashStartMs: 0,
+      lockFlashDurationMs: LOCK_FLASH_MS,
+      trailStartMs: 0,
+      trailDurationMs: HARD_DROP_TRAIL_MS,
+    };
+
+    // Time accumulated towards the next gravity step
+    this.gravityElapsedMs = 0;
 
     // Stats tracker
     this.stats = new Stats();
 
+    // T-spin detection: the last successful maneuver must be a rotation
+    this.lastMoveWasRotation = false;
+    this.lastKickIndex = -1; // Index of the SRS kick used by the last rotation
+
     // Random bag system for tetromino generation
+    this.rng = this.options.rng || new SeededRandom(this.options.seed);
+    // Garbage holes have their own generator so garbage doesn't change the piece sequence
+    this.garbageRng = new SeededRandom(this.rng.seed ^ GARBAGE_SEED_MIX);
     this.tetrominoBag = [];
+
+    // Upcoming tetrominoes drawn from the bag, next piece first
+    this.nextQueueSize = Math.min(
+      Math.max(this.options.nextQueueSize, MIN_NEXT_QUEUE_SIZE),
+      MAX_NEXT_QUEUE_SIZE
+    );
+    this.nextQueue = [];
+    this.fillNextQueue();
+
+    // Game state
+    this.gameState = GAME_STATE.PLAYING;
+    this.topOutReason = null;
+
+    // Custom event handlers (e.g. 'gameOver')
+    this.eventHandlers = {};
+  }
+
+  on(event, handler) {
+    if (!this.eventHandlers[event]) {
+      this.eventHandlers[event] = [];
+    }
+    this.eventHandlers[event].push(handler);
+  }
+
+  off(event, handler) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event] = this.eventHandlers[event].filter(
+        (h) => h !== handler
+      );
+    }
+  }
+
+  trigger(event, data) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach((handler) => {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`Error in ${event} handler:`, error);
+        }
+      });
+    }
+  }
+
+  // Reset the board, hold slot, bag and stats to start a new game
+  // The piece sequence restarts from the given seed
+  reset(seed = SeededRandom.generateSeed()) {
+    this.rng.setSeed(seed);
+    this.garbageRng.setSeed(seed ^ GARBAGE_SEED_MIX);
+
+    for (let i = 0; i < this.totalCells; i++) {
+      this.setCellGray(i);
+    }
+
+    this.currentTetromino = null;
+    this.heldTetromino = null;
+    this.canHold = true;
+    this.clearShadow();
+    this.lockDelayStartTime = null;
+    this.gameTimeMs = 0;
+    this.tickCount = 0;
+    this.gravityElapsedMs = 0;
+    this.lineClearRemainingMs = 0;
+    this.entryRemainingMs = 0;
+    this.pendingTSpin = T_SPIN.NONE;
+    this.garbageQueue = [];
+    this.trailCells = [];
+    this.lockFlashActive = false;
+    this.lastMoveWasRotation = false;
+    this.lastKickIndex = -1;
+    this.tetrominoBag = [];
+    this.nextQueue = [];
+    this.fillNextQueue();
+    this.stats.reset();
+
+    this.gameState = GAME_STATE.PLAYING;
+    this.topOutReason = null;
+  }
+
+  // Get game time elapsed since the game started, excluding pauses
+  getGameTime() {
+    return this.gameTimeMs;
+  }
+
+  // Set the line clear and entry delays, used from the next lock on
+  setDelays({lineClearDelayMs = this.lineClearDelayMs, entryDelayMs = this.entryDelayMs}) {
+    this.lineClearDelayMs = lineClearDelayMs;
+    this.entryDelayMs = entryDelayMs;
+    this.animation.lineClearDurationMs = lineClearDelayMs;
+  }
+
+  // Set the lock delay and how moves reset it, used from the next piece on
+  setLockDelay({
+    lockDelayMs = this.lockDelayMs,
+    lockResetMode = this.lockResetMode,
+    maxLockResets = this.maxLockResets,
+  }) {
+    this.lockDelayMs = lockDelayMs;
+    this.lockResetMode = lockResetMode;
+    this.maxLockResets = maxLockResets;
+  }
+
+  // Get the number of updates since the game started
+  getTick() {
+    return this.tickCount;
+  }
+
+  // Get the seed of the current piece sequence
+  getSeed() {
+    return this.rng.seed;
+  }
+
+  // Get current game state (see GAME_STATE)
+  getGameState() {
+    return this.gameState;
+  }
+
+  // Check if the game is still accepting input
+  isPlaying() {
+    return this.gameState === GAME_STATE.PLAYING;
+  }
+
+  // Check if the game has fully ended
+  isGameOver() {
+    return this.gameState === GAME_STATE.OVER;
+  }
+
+  // Stop the game, remaining cells settle with end gravity before game over
+  topOut(reason) {
+    if (!this.isPlaying()) {
+      return;
+    }
+
+    this.clearShadow();
+    this.currentTetromino = null;
+    this.lockDelayStartTime = null;
+    this.gravityElapsedMs = 0;
+    this.gameState = GAME_STATE.TOPPED_OUT;
+    this.topOutReason = reason;
+  }
+
+  // Finish the game once the board has settled, or when a game mode ends it (e.g. goal reached)
+  endGame(reason = this.topOutReason) {
+    if (this.isGameOver()) {
+      return;
+    }
+
+    // Rows still waiting on the line clear delay (e.g. the time limit ran out) are cleared and scored
+    if (this.lineClearRemainingMs > 0) {
+      this.lineClearRemainingMs = 0;
+      this.scoreLock(this.pendingTSpin);
+    }
+    this.entryRemainingMs = 0;
+    this.clearShadow();
+    this.currentTetromino = null;
+    this.lockDelayStartTime = null;
+    this.gameState = GAME_STATE.OVER;
+    this.trigger('gameOver', {
+      reason,
+      score: this.stats.getScore(),
+      linesCleared: this.stats.getLinesCleared(),
+      level: this.stats.getLevel(),
+      timeMs: this.gameTimeMs,
+    });
   }
 
   // Helper function to get cell index from row and column
@@ -79,22 +438,50 @@ export class Grid {
     return this.isCellColored[cellIndex];
   }
 
+  // Extend the dirty range to cover cells from start to end (exclusive)
+  markDirty(start, end = start + 1) {
+    this.dirtyRange.start = Math.min(this.dirtyRange.start, start);
+    this.dirtyRange.end = Math.max(this.dirtyRange.end, end);
+  }
+
+  // Mark every cell as changed, e.g. after the renderer lost its buffers
+  markAllCellsDirty() {
+    this.markDirty(0, this.totalCells);
+  }
+
+  // Get the cells changed since clearDirty(), {start, end} with end exclusive (empty when start >= end)
+  getDirtyRange() {
+    return this.dirtyRange;
+  }
+
+  // The renderer has uploaded the changed cells
+  clearDirty() {
+    this.dirtyRange.start = this.totalCells;
+    this.dirtyRange.end = 0;
+  }
+
   // Helper function to set a cell to gray
   setCellGray(cellIndex) {
+    this.markDirty(cellIndex);
     this.cellColors[cellIndex * 4 + 0] = 0.5;
     this.cellColors[cellIndex * 4 + 1] = 0.5;
     this.cellColors[cellIndex * 4 + 2] = 0.5;
     this.cellColors[cellIndex * 4 + 3] = 1.0;
     this.isCellColored[cellIndex] = false;
+    this.pieceIds[cellIndex] = 0;
+    this.cellFlags[cellIndex] = 0;
   }
 
   // Helper function to copy color from one cell to another
   copyCellColor(fromIndex, toIndex) {
+    this.markDirty(toIndex);
     this.cellColors[toIndex * 4 + 0] = this.cellColors[fromIndex * 4 + 0];
     this.cellColors[toIndex * 4 + 1] = this.cellColors[fromIndex * 4 + 1];
     this.cellColors[toIndex * 4 + 2] = this.cellColors[fromIndex * 4 + 2];
     this.cellColors[toIndex * 4 + 3] = this.cellColors[fromIndex * 4 + 3];
     this.isCellColored[toIndex] = this.isCellColored[fromIndex];
+    this.pieceIds[toIndex] = this.pieceIds[fromIndex];
+    this.cellFlags[toIndex] = this.cellFlags[fromIndex];
   }
 
   // Helper function to check if a row is completely filled
@@ -140,6 +527,7 @@ export class Grid {
     // Copy each cell one by one
     const sourceCellStartIndex = sourceRow * this.width;
     const targetCellStartIndex = targetRow * this.width;
+    this.markDirty(targetCellStartIndex, targetCellStartIndex + this.width);
     for (let col = 0; col < this.width; col++) {
       const sourceCellIndex = sourceCellStartIndex + col;
       const targetCellIndex = targetCellStartIndex + col;
@@ -149,6 +537,8 @@ export class Grid {
 
       // Copy colored state
       this.isCellColored[targetCellIndex] = this.isCellColored[sourceCellIndex];
+      this.pieceIds[targetCellIndex] = this.pieceIds[sourceCellIndex];
+      this.cellFlags[targetCellIndex] = this.cellFlags[sourceCellIndex];
 
       // Copy color data (RGBA - 4 floats per cell)
       this.cellColors[targetColorIndex + 0] = this.cellColors[sourceColorIndex + 0];
@@ -176,7 +566,7 @@ export class Grid {
 
     // Fisher-Yates shuffle algorithm
     for (let i = this.tetrominoBag.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.rng.next() * (i + 1));
       [this.tetrominoBag[i], this.tetrominoBag[j]] = [this.tetrominoBag[j], this.tetrominoBag[i]];
     }
   }
@@ -192,6 +582,49 @@ export class Grid {
     return TETROMINOES[shape];
   }
 
+  // Top up the next queue from the bag
+  fillNextQueue() {
+    while (this.nextQueue.length < this.nextQueueSize) {
+      this.nextQueue.push(this.getRandomTetromino());
+    }
+  }
+
+  // Take the next tetromino from the queue and refill it
+  takeNextTetromino() {
+    this.fillNextQueue();
+    const tetromino = this.nextQueue.shift();
+    this.fillNextQueue();
+    return tetromino;
+  }
+
+  // Get the upcoming tetrominoes, next piece first
+  getNextQueue() {
+    return [...this.nextQueue];
+  }
+
+  // Get the number of pieces shown in the next queue
+  getNextQueueSize() {
+    return this.nextQueueSize;
+  }
+
+  // Get the falling tetromino, or null between pieces
+  getCurrentTetromino() {
+    return this.currentTetromino ? this.currentTetromino.tetromino : null;
+  }
+
+  // Get the held tetromino, or null
+  getHeldTetromino() {
+    return this.heldTetromino;
+  }
+
+  // Get the cell indices covered by the falling tetromino, empty between pieces
+  getCurrentTetrominoCells() {
+    if (!this.currentTetromino) {
+      return [];
+    }
+    return this.getTetrominoPositions(this.currentTetromino).map(({row, col}) => this.getCellIndex(row, col));
+  }
+
   // Get absolute positions of a tetromino at a given center position
   getTetrominoPositions({tetromino, centerRow, centerCol, rotatedPositions = null}) {
     const relativePositions = rotatedPositions || tetromino.cellPositions;
@@ -220,8 +653,11 @@ export class Grid {
   placeTetromino(tetrominoState) {
     const {tetromino} = tetrominoState;
     const positions = this.getTetrominoPositions(tetrominoState);
+    const pieceId = this.nextPieceId++;
     for (const {row, col} of positions) {
       const cellIndex = this.getCellIndex(row, col);
+      this.markDirty(cellIndex);
+      this.pieceIds[cellIndex] = pieceId;
       this.cellColors[cellIndex * 4 + 0] = tetromino.color[0];
       this.cellColors[cellIndex * 4 + 1] = tetromino.color[1];
       this.cellColors[cellIndex * 4 + 2] = tetromino.color[2];
@@ -263,41 +699,407 @@ export class Grid {
       return;
     }
 
+    const positions = this.getTetrominoPositions(this.currentTetromino);
+    const tSpin = this.detectTSpin();
     this.placeTetromino(this.currentTetromino);
     this.clearShadow();
     this.currentTetromino = null;
     this.lockDelayStartTime = null;
-    this.clearCompletedRows();
+
+    // Lock out: the whole piece locked above the visible playfield
+    if (positions.every(({row}) => row >= this.visibleHeight)) {
+      this.topOut(TOP_OUT_REASON.LOCK_OUT);
+      return;
+    }
+
+    this.startLockFlash(positions);
+
+    // Completed rows flash and wait for the line clear delay, update() collapses them
+    const completedRows = this.getCompletedRows();
+    if (completedRows.length > 0 && this.lineClearDelayMs > 0) {
+      this.pendingTSpin = tSpin;
+      this.startLineClear(completedRows);
+      return;
+    }
+
+    this.finishLock(tSpin);
+  }
+
+  // Clear the completed rows and score the lock, returns the number of lines cleared
+  scoreLock(tSpin) {
+    const linesCleared = this.clearCompletedRows();
+    const clear = this.stats.addClear(linesCleared, {
+      tSpin,
+      perfectClear: this.isBoardEmpty(),
+    });
+    if (clear) {
+      this.trigger('clear', clear);
+      this.sendAttack(clear);
+    }
+    return linesCleared;
+  }
+
+  // Clear the completed rows, score the lock and spawn the next piece after the entry delay
+  finishLock(tSpin) {
+    const linesCleared = this.scoreLock(tSpin);
+
+    // Garbage only rises when a piece locks without clearing lines
+    if (linesCleared === 0) {
+      this.insertPendingGarbage();
+      if (!this.isPlaying()) {
+        return;
+      }
+    }
+
+    if (this.entryDelayMs > 0) {
+      this.entryRemainingMs = this.entryDelayMs;
+      return;
+    }
     this.spawnTetromino();
   }
 
-  // Apply gravity to the current falling tetromino
-  applyGravity() {
+  // Cancel incoming garbage with the attack of a clear (see attack.js)
+  // Lines left over are sent with the 'attack' event: {lines, cancelled}
+  sendAttack(clear) {
+    const attack = getAttackLines(clear);
+    if (attack === 0) {
+      return;
+    }
+
+    const lines = this.cancelGarbage(attack);
+    this.trigger('attack', {lines, cancelled: attack - lines});
+  }
+
+  // Queue garbage to rise from the bottom once delayMs has passed and a piece locks without clearing lines
+  // holeColumn: column left open in every row, random if null (see GARBAGE_PATTERN)
+  receiveGarbage(lines, {holeColumn = null, delayMs = this.garbageDelayMs} = {}) {
+    if (lines <= 0) {
+      return;
+    }
+    this.garbageQueue.push({lines, holeColumn, readyTimeMs: this.gameTimeMs + delayMs});
+  }
+
+  // Get the number of garbage lines waiting to rise
+  getPendingGarbage() {
+    return this.garbageQueue.reduce((total, {lines}) => total + lines, 0);
+  }
+
+  // Cancel queued garbage with outgoing attack lines, oldest first
+  // Returns the attack lines left to send.
+  cancelGarbage(attack) {
+    while (attack > 0 && this.garbageQueue.length > 0) {
+      const garbage = this.garbageQueue[0];
+      const cancelled = Math.min(attack, garbage.lines);
+      garbage.lines -= cancelled;
+      attack -= cancelled;
+      if (garbage.lines === 0) {
+        this.garbageQueue.shift();
+      }
+    }
+    return attack;
+  }
+
+  // Insert the queued garbage whose delay has passed
+  insertPendingGarbage() {
+    while (this.garbageQueue.length > 0 && this.garbageQueue[0].readyTimeMs <= this.gameTimeMs) {
+      const {lines, holeColumn} = this.garbageQueue.shift();
+      if (!this.insertGarbage(lines, {holeColumn})) {
+        return;
+      }
+    }
+  }
+
+  // Raise the stack by lines rows and fill the bottom rows with garbage, one hole per row
+  // Used for queued garbage and to build boards directly (e.g. a cheese race).
+  // Returns false if the stack was pushed past the top and the game topped out.
+  insertGarbage(lines, {holeColumn = null, pattern = this.garbagePattern} = {}) {
+    lines = Math.min(lines, this.height);
+    for (let row = this.height - lines; row < this.height; row++) {
+      if (this.getColoredCellCountInRow(row) > 0) {
+        this.topOut(TOP_OUT_REASON.TOP_OUT);
+        return false;
+      }
+    }
+
+    for (let row = this.height - 1; row >= lines; row--) {
+      this.copyRow(row - lines, row);
+    }
+
+    let hole = holeColumn === null ? this.garbageRng.nextInt(this.width) : holeColumn;
+    for (let row = 0; row < lines; row++) {
+      // Messy garbage moves the hole on every row
+      if (row > 0 && pattern === GARBAGE_PATTERN.MESSY && holeColumn === null) {
+        hole = this.garbageRng.nextInt(this.width);
+      }
+      for (let col = 0; col < this.width; col++) {
+        const cellIndex = this.getCellIndex(row, col);
+        this.setCellGray(cellIndex);
+        if (col !== hole) {
+          this.cellColors.set(GARBAGE_COLOR, cellIndex * 4);
+          this.isCellColored[cellIndex] = true;
+        }
+      }
+    }
+    this.trigger('garbage', {lines});
+    return true;
+  }
+
+  // Get the colors of the visible locked cells, packed as 0xRRGGBB or -1 for empty cells
+  // Used to send the board to other players.
+  getBoardSnapshot() {
+    const cells = new Array(this.width * this.visibleHeight);
+    for (let i = 0; i < cells.length; i++) {
+      if (!this.isCellColored[i]) {
+        cells[i] = -1;
+        continue;
+      }
+      const [r, g, b] = this.cellColors.subarray(i * 4, i * 4 + 3).map((c) => Math.round(c * 255));
+      cells[i] = (r << 16) | (g << 8) | b;
+    }
+    return cells;
+  }
+
+  // Get the rows completely filled, bottom first
+  getCompletedRows() {
+    const rows = [];
+    for (let row = 0; row < this.height; row++) {
+      if (this.isRowFilled(row)) {
+        rows.push(row);
+      }
+    }
+    return rows;
+  }
+
+  // Flag the completed rows for the line clear animation and start the delay
+  startLineClear(rows) {
+    for (const row of rows) {
+      const rowStartCellIndex = row * this.width;
+      for (let col = 0; col < this.width; col++) {
+        this.cellFlags[rowStartCellIndex + col] |= CELL_FLAG.CLEARING;
+      }
+      this.markDirty(rowStartCellIndex, rowStartCellIndex + this.width);
+    }
+    this.lineClearRemainingMs = this.lineClearDelayMs;
+    this.animation.lineClearStartMs = this.gameTimeMs;
+  }
+
+  // Flash the cells of the piece that just locked
+  startLockFlash(positions) {
+    this.clearCellFlag(CELL_FLAG.LOCK_FLASH);
+    for (const {row, col} of positions) {
+      const cellIndex = this.getCellIndex(row, col);
+      this.cellFlags[cellIndex] |= CELL_FLAG.LOCK_FLASH;
+      this.markDirty(cellIndex);
+    }
+    this.lockFlashActive = true;
+    this.animation.lockFlashStartMs = this.gameTimeMs;
+  }
+
+  // Remove an animation flag from every cell
+  clearCellFlag(flag) {
+    for (let i = 0; i < this.totalCells; i++) {
+      if (this.cellFlags[i] & flag) {
+        this.cellFlags[i] &= ~flag;
+        this.markDirty(i);
+      }
+    }
+  }
+
+  // Leave a trail over the cells a hard dropped piece fell through
+  startHardDropTrail(tetrominoState, fromRow) {
+    const positions = this.getTetrominoPositions(tetrominoState);
+    const occupied = new Set(positions.map(({row, col}) => this.getCellIndex(row, col)));
+    const dropDistance = fromRow - tetrominoState.centerRow;
+
+    this.trailCells = [];
+    for (const {row, col} of positions) {
+      for (let trailRow = row + 1; trailRow <= row + dropDistance && trailRow < this.height; trailRow++) {
+        const cellIndex = this.getCellIndex(trailRow, col);
+        if (!occupied.has(cellIndex) && !this.trailCells.includes(cellIndex)) {
+          this.trailCells.push(cellIndex);
+        }
+      }
+    }
+    this.trailColor = tetrominoState.tetromino.color;
+    this.animation.trailStartMs = this.gameTimeMs;
+  }
+
+  // Advance the line clear and entry delays, and end finished animations
+  updateDelays(deltaMs) {
+    if (this.lockFlashActive && this.gameTimeMs - this.animation.lockFlashStartMs >= LOCK_FLASH_MS) {
+      this.clearCellFlag(CELL_FLAG.LOCK_FLASH);
+      this.lockFlashActive = false;
+    }
+    // Trail cells are overlays, getCellColors() restores the board under them
+    if (this.trailCells.length > 0 && this.gameTimeMs - this.animation.trailStartMs >= HARD_DROP_TRAIL_MS) {
+      this.trailCells = [];
+    }
+
+    if (!this.isPlaying()) {
+      return;
+    }
+
+    if (this.lineClearRemainingMs > 0) {
+      this.lineClearRemainingMs -= deltaMs;
+      if (this.lineClearRemainingMs <= 0) {
+        this.lineClearRemainingMs = 0;
+        this.finishLock(this.pendingTSpin);
+      }
+    } else if (this.entryRemainingMs > 0) {
+      this.entryRemainingMs -= deltaMs;
+      if (this.entryRemainingMs <= 0) {
+        this.entryRemainingMs = 0;
+        this.spawnTetromino();
+      }
+    }
+  }
+
+  // Detect a T-spin for the current tetromino using the 3-corner rule
+  // Mini when only one of the two corners the T points at is filled, unless the last kick was used
+  detectTSpin() {
+    const {tetromino, centerRow, centerCol} = this.currentTetromino;
+    if (tetromino.shape !== 'T' || !this.lastMoveWasRotation) {
+      return T_SPIN.NONE;
+    }
+
+    const isCornerFilled = (dr, dc) => !this.isValidPosition(centerRow + dr, centerCol + dc);
+    const corners = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+    const filledCorners = corners.filter(([dr, dc]) => isCornerFilled(dr, dc)).length;
+    if (filledCorners < 3) {
+      return T_SPIN.NONE;
+    }
+
+    // The pointing cell is the one without an opposite cell across the center
+    const positions = this.currentTetromino.rotatedPositions || tetromino.cellPositions;
+    const hasCell = (dr, dc) => positions.some(([r, c]) => r === dr && c === dc);
+    const [pointRow, pointCol] = positions.find(([dr, dc]) => (dr !== 0 || dc !== 0) && !hasCell(-dr, -dc));
+    const frontCorners = pointRow !== 0
+      ? [[pointRow, -1], [pointRow, 1]]
+      : [[-1, pointCol], [1, pointCol]];
+    const filledFrontCorners = frontCorners.filter(([dr, dc]) => isCornerFilled(dr, dc)).length;
+
+    if (filledFrontCorners === 2 || this.lastKickIndex === T_SPIN_FULL_KICK_INDEX) {
+      return T_SPIN.FULL;
+    }
+    return T_SPIN.MINI;
+  }
+
+  // Check if the board has no locked cells (perfect clear)
+  isBoardEmpty() {
+    return !this.isCellColored.some((colored) => colored);
+  }
+
+  // Apply gravity to the current falling tetromino for the elapsed time
+  applyGravity(deltaMs) {
+    if (this.gameState === GAME_STATE.TOPPED_OUT) {
+      // No active tetromino, apply end game gravity logic until the board settles
+      this.gravityElapsedMs += deltaMs;
+      while (this.gravityElapsedMs >= END_GRAVITY_INTERVAL_MS) {
+        this.gravityElapsedMs -= END_GRAVITY_INTERVAL_MS;
+        this.applyEndGravity();
+      }
+      if (this.getFallingCells().length === 0) {
+        this.endGame();
+      }
+      return;
+    }
+
     if (!this.currentTetromino) {
-      // No active tetromino, apply end game gravity logic
-      this.applyEndGravity();
       return;
     }
 
-    // Move the current tetromino down
+    const level = this.stats.getLevel();
+    if (isInstantGravity(level)) {
+      // 20G: drop straight to the floor
+      while (this.stepDown()) {
+        // keep falling
+      }
+    } else {
+      // Fall one row for every full gravity interval elapsed
+      const intervalMs = getGravityIntervalMs(level);
+      this.gravityElapsedMs += deltaMs;
+      while (this.gravityElapsedMs >= intervalMs) {
+        this.gravityElapsedMs -= intervalMs;
+        if (!this.stepDown()) {
+          this.gravityElapsedMs = 0;
+          break;
+        }
+      }
+    }
+
+    this.updateLockDelay();
+  }
+
+  // Move the current tetromino down one row if possible
+  stepDown() {
     const {centerRow} = this.currentTetromino;
     const newCenterRow = centerRow - 1;
 
     // Check if tetromino can move down (exclude current position from collision check)
-    if (this.canPlaceTetromino({...this.currentTetromino, centerRow: newCenterRow})) {
+    if (!this.canPlaceTetromino({...this.currentTetromino, centerRow: newCenterRow})) {
+      return false;
+    }
+
+    this.currentTetromino.centerRow = newCenterRow;
+    this.resetLockDelay(true);
+    this.lastMoveWasRotation = false;
+    this.updateShadow();
+    return true;
+  }
+
+  // Reset the lock delay timer after the current tetromino moved, following the lock reset mode
+  // descended: the tetromino moved down
+  resetLockDelay(descended) {
+    const {centerRow} = this.currentTetromino;
+    if (centerRow < this.lowestRow) {
+      // Reaching a new lowest row refills the move resets
+      this.lowestRow = centerRow;
+      this.lockResets = 0;
+      this.lockDelayStartTime = null;
+      return;
+    }
+
+    switch (this.lockResetMode) {
+      case LOCK_RESET_MODE.INFINITE:
+        this.lockDelayStartTime = null;
+        break;
+      case LOCK_RESET_MODE.STEP:
+        if (descended) {
+          this.lockDelayStartTime = null;
+        }
+        break;
+      default:
+        // Only moves while the lock timer is running use up a reset
+        if (this.lockDelayStartTime !== null && this.lockResets < this.maxLockResets) {
+          this.lockResets++;
+          this.lockDelayStartTime = null;
+        }
+        break;
+    }
+  }
+
+  // Start or check the lock delay timer while the tetromino rests on the stack
+  updateLockDelay() {
+    if (!this.currentTetromino) {
+      return;
+    }
+
+    if (this.canPlaceTetromino({...this.currentTetromino, centerRow: this.currentTetromino.centerRow - 1})) {
       this.lockDelayStartTime = null;
-      this.currentTetromino.centerRow = newCenterRow;
-      this.updateShadow();
       return;
     }
 
-    const currentTime = Date.now();
     if (this.lockDelayStartTime === null) {
-      this.lockDelayStartTime = currentTime;
+      // Landing again with no move resets left locks immediately
+      if (this.lockResetMode === LOCK_RESET_MODE.MOVE && this.lockResets >= this.maxLockResets) {
+        this.commitTetromino();
+        return;
+      }
+      this.lockDelayStartTime = this.gameTimeMs;
       return;
     }
 
-    const elapsedTime = currentTime - this.lockDelayStartTime;
+    const elapsedTime = this.gameTimeMs - this.lockDelayStartTime;
     if (elapsedTime >= this.lockDelayMs) {
       this.commitTetromino();
     }
@@ -306,14 +1108,16 @@ export class Grid {
   // Spawn a random tetromino at the top of the grid
   // Only spawn if there's no current tetromino
   spawnTetromino() {
-    if (this.currentTetromino) {
+    if (this.currentTetromino || !this.isPlaying()) {
       return;
     }
 
-    const tetromino = this.getRandomTetromino();
+    const tetromino = this.takeNextTetromino();
     const centerCol = Math.floor(this.width / 2); // Center horizontally
-    const centerRow = this.topRow; // Start at the top
+    const centerRow = this.spawnRow; // Start in the buffer zone
     if (!this.canPlaceTetromino({tetromino, centerRow, centerCol})) {
+      // Block out: spawn position is blocked by the stack
+      this.topOut(TOP_OUT_REASON.BLOCK_OUT);
       return;
     }
 
@@ -325,8 +1129,19 @@ export class Grid {
       rotationState: '0' // Initialize rotation state to spawn (0)
     };
     this.lockDelayStartTime = null;
+    this.lockResets = 0;
+    this.lowestRow = centerRow;
+    this.gravityElapsedMs = 0;
+    this.lastMoveWasRotation = false;
     this.canHold = true; // Reset hold flag when spawning new tetromino
     this.updateShadow();
+    this.dropAfterSpawn();
+    this.trigger('spawn', tetromino);
+  }
+
+  // A spawned tetromino immediately drops one row if nothing blocks it
+  dropAfterSpawn() {
+    this.stepDown();
   }
 
   // Hold the current tetromino and swap with held tetromino if one exists
@@ -341,9 +1156,11 @@ export class Grid {
     if (this.heldTetromino) {
       // Swap: put held tetromino as current
       const centerCol = Math.floor(this.width / 2);
-      const centerRow = this.topRow;
+      const centerRow = this.spawnRow;
       if (!this.canPlaceTetromino({tetromino: this.heldTetromino, centerRow, centerCol})) {
-        return false;
+        // Block out: swapped-in piece can't spawn
+        this.topOut(TOP_OUT_REASON.BLOCK_OUT);
+        return true;
       }
 
       this.currentTetromino = {
@@ -354,7 +1171,11 @@ export class Grid {
         rotationState: '0' // Reset rotation state to spawn (0)
       };
       this.lockDelayStartTime = null;
+      this.lockResets = 0;
+      this.lowestRow = centerRow;
+      this.lastMoveWasRotation = false;
       this.updateShadow();
+      this.dropAfterSpawn();
     } else {
       // No held piece, just spawn a new one
       this.currentTetromino = null;
@@ -364,10 +1185,12 @@ export class Grid {
     // Store the previously current tetromino in hold and update flag
     this.heldTetromino = tempTetromino;
     this.canHold = false;
+    this.trigger('hold', tempTetromino);
     return true;
   }
 
   // Clear filled rows and shifting unfilled rows down
+  // Returns the number of rows cleared
   clearCompletedRows() {
     // sliding window implementation
     let writeRow = 0;
@@ -394,22 +1217,37 @@ export class Grid {
     // Clear rows from writeRow to readRow (clamp readRow to valid range)
     const endRow = Math.min(readRow, this.height - 1);
     this.clearRows(writeRow, endRow);
-    this.stats.addLinesCleared(clearedCount);
+    return clearedCount;
   }
 
   // Main update function that applies all game logic
-  update() {
-    this.applyGravity();
+  // deltaMs: game time elapsed since the previous update
+  update(deltaMs = FRAME_MS) {
+    if (this.isGameOver()) {
+      return;
+    }
+
+    this.gameTimeMs += deltaMs;
+    this.tickCount++;
+    this.updateDelays(deltaMs);
+    this.applyGravity(deltaMs);
   }
 
-  // Returns the center offset for the held tetromino in the preview grid
-  getHoldTetriminoCenter() {
-    if (!this.heldTetromino) {
+  // Get the animation timers for the renderer, in game time so animations pause with the game
+  // The object is reused between calls and must not be modified.
+  getAnimationState() {
+    this.animation.timeMs = this.gameTimeMs;
+    return this.animation;
+  }
+
+  // Returns the center offset for a tetromino in the preview grid
+  getPreviewCenter(tetromino) {
+    if (!tetromino) {
       return new Float32Array([0.0, 0.0]);
     }
 
     // Calculate offset needed to center the tetromino in the grid
-    const [tetrominoCenterRow, tetrominoCenterCol] = this.heldTetromino.center;
+    const [tetrominoCenterRow, tetrominoCenterCol] = tetromino.center;
     const gridCenter = (this.previewGridSize - 1) / 2;
     const offsetRow = gridCenter - tetrominoCenterRow;
     const offsetCol = gridCenter - tetrominoCenterCol;
@@ -417,8 +1255,8 @@ export class Grid {
     return new Float32Array([offsetCol, offsetRow]);
   }
 
-  // Returns colors array for a small preview grid showing the held tetromino
-  getHeldTetrominoColors() {
+  // Returns colors array for a small preview grid showing a tetromino
+  getPreviewColors(tetromino) {
     const totalCells = this.previewGridSize * this.previewGridSize;
     const colors = new Float32Array(totalCells * 4); // 4 floats per color (RGBA)
 
@@ -430,11 +1268,11 @@ export class Grid {
       colors[i * 4 + 3] = 0.0; // A
     }
 
-    if (!this.heldTetromino) {
+    if (!tetromino) {
       return colors;
     }
 
-    const relativePositions = this.heldTetromino.cellPositions;
+    const relativePositions = tetromino.cellPositions;
 
     // Render tetromino starting from bottom-left (0, 0)
     // Offset by 1 to offset negative Tetromino relative positions
@@ -449,32 +1287,121 @@ export class Grid {
       if (row >= 0 && row < this.previewGridSize && col >= 0 && col < this.previewGridSize) {
         const cellIndex = row * this.previewGridSize + col;
         const colorIndex = cellIndex * 4;
-        colors[colorIndex + 0] = this.heldTetromino.color[0]; // R
-        colors[colorIndex + 1] = this.heldTetromino.color[1]; // G
-        colors[colorIndex + 2] = this.heldTetromino.color[2]; // B
-        colors[colorIndex + 3] = this.heldTetromino.color[3]; // A
+        colors[colorIndex + 0] = tetromino.color[0]; // R
+        colors[colorIndex + 1] = tetromino.color[1]; // G
+        colors[colorIndex + 2] = tetromino.color[2]; // B
+        colors[colorIndex + 3] = tetromino.color[3]; // A
       }
     }
 
     return colors;
   }
 
+  // Returns packed cell info (see getCellInfo) for a small preview grid showing a tetromino
+  getPreviewCellInfo(tetromino) {
+    const totalCells = this.previewGridSize * this.previewGridSize;
+    const info = new Uint32Array(totalCells);
+    if (!tetromino) {
+      return info;
+    }
+
+    // Same layout as getPreviewColors()
+    const pieceIds = new Int32Array(totalCells);
+    for (const [dr, dc] of tetromino.cellPositions) {
+      const row = 1 + dr;
+      const col = 1 + dc;
+      if (row >= 0 && row < this.previewGridSize && col >= 0 && col < this.previewGridSize) {
+        pieceIds[row * this.previewGridSize + col] = 1;
+      }
+    }
+
+    for (let i = 0; i < totalCells; i++) {
+      if (pieceIds[i] !== 0) {
+        const connections = getConnections(pieceIds, this.previewGridSize, this.previewGridSize, i);
+        info[i] = packCellInfo(CELL_KIND.LOCKED, connections);
+      }
+    }
+    return info;
+  }
+
+  // Returns the center offset for the held tetromino in the preview grid
+  getHoldTetriminoCenter() {
+    return this.getPreviewCenter(this.heldTetromino);
+  }
+
+  // Returns colors array for a small preview grid showing the held tetromino
+  getHeldTetrominoColors() {
+    return this.getPreviewColors(this.heldTetromino);
+  }
+
+  // Returns the center offset for the queued tetromino at index (0 = next piece)
+  getNextTetrominoCenter(index) {
+    return this.getPreviewCenter(this.nextQueue[index]);
+  }
+
+  // Returns colors array for the queued tetromino at index (0 = next piece)
+  getNextTetrominoColors(index) {
+    return this.getPreviewColors(this.nextQueue[index]);
+  }
+
+  getHeldTetrominoCellInfo() {
+    return this.getPreviewCellInfo(this.heldTetromino);
+  }
+
+  getNextTetrominoCellInfo(index) {
+    return this.getPreviewCellInfo(this.nextQueue[index]);
+  }
+
+  // Draw a piece cell over a cell of the render arrays, remembering it so it can be restored
+  setOverlayCell(cellIndex, color, kind, pieceId) {
+    const colorIndex = cellIndex * 4;
+    this.renderColors[colorIndex + 0] = color[0];
+    this.renderColors[colorIndex + 1] = color[1];
+    this.renderColors[colorIndex + 2] = color[2];
+    this.renderColors[colorIndex + 3] = color[3];
+    this.renderInfo[cellIndex] = kind;
+    this.renderPieceIds[cellIndex] = pieceId;
+    this.overlayCells.push(cellIndex);
+    this.markDirty(cellIndex);
+  }
+
   // Get the grid colors array (for WebGPU buffer updates)
-  // Returns colors with shadow cells and active tetromino rendered as pseudo elements
+  // Returns colors with shadow cells and active tetromino rendered as pseudo elements,
+  // and updates the cell info returned by getCellInfo().
+  // The array is reused between calls and must not be modified,
+  // only cells in the dirty range (see getDirtyRange) change between uploads.
   getCellColors() {
-    const colors = new Float32Array(this.cellColors);
+    const colors = this.renderColors;
+
+    // Cells under the previous shadow and tetromino go back to the locked cells
+    for (const cellIndex of this.overlayCells) {
+      this.markDirty(cellIndex);
+    }
+    this.overlayCells.length = 0;
+
+    const {start, end} = this.dirtyRange;
+    if (start < end) {
+      colors.set(this.cellColors.subarray(start * 4, end * 4), start * 4);
+      this.renderPieceIds.set(this.pieceIds.subarray(start, end), start);
+      for (let i = start; i < end; i++) {
+        const kind = this.isCellColored[i] ? CELL_KIND.LOCKED : CELL_KIND.EMPTY;
+        this.renderInfo[i] = packCellInfo(kind, 0, this.cellFlags[i]);
+      }
+    }
+
+    // Hard drop trail, under the shadow and active tetromino
+    for (const cellIndex of this.trailCells) {
+      if (!this.isCellColored[cellIndex]) {
+        this.setOverlayCell(cellIndex, this.trailColor, CELL_KIND.TRAIL, 0);
+      }
+    }
 
     // Render active tetromino cells
     if (this.currentTetromino) {
       const {tetromino} = this.currentTetromino;
-      // Apply shadow
+      // Apply shadow, the shader draws ghost cells translucent or outlined
       for (const cellIndex of this.shadowCells) {
-        const colorIndex = cellIndex * 4;
-        // Use semi-transparent version of the tetromino color
-        colors[colorIndex + 0] = tetromino.color[0] * 0.3; // R
-        colors[colorIndex + 1] = tetromino.color[1] * 0.3; // G
-        colors[colorIndex + 2] = tetromino.color[2] * 0.3; // B
-        colors[colorIndex + 3] = 0.5; // A (semi-transparent)
+        this.setOverlayCell(cellIndex, tetromino.color, CELL_KIND.GHOST, GHOST_PIECE_ID);
       }
 
       const positions = this.getTetrominoPositions(this.currentTetromino);
@@ -483,29 +1410,48 @@ export class Grid {
       for (const {row, col} of positions) {
         const cellIndex = this.getCellIndex(row, col);
         if (cellIndex >= 0 && cellIndex < this.totalCells) {
-          const colorIndex = cellIndex * 4;
-          colors[colorIndex + 0] = tetromino.color[0]; // R
-          colors[colorIndex + 1] = tetromino.color[1]; // G
-          colors[colorIndex + 2] = tetromino.color[2]; // B
-          colors[colorIndex + 3] = tetromino.color[3]; // A
+          this.setOverlayCell(cellIndex, tetromino.color, CELL_KIND.ACTIVE, ACTIVE_PIECE_ID);
         }
       }
+    }
 
+    // Connections change with the neighbours, so one row around the changed cells is updated too
+    if (this.dirtyRange.start < this.dirtyRange.end) {
+      this.markDirty(
+        Math.max(this.dirtyRange.start - this.width, 0),
+        Math.min(this.dirtyRange.end + this.width, this.totalCells)
+      );
+      for (let i = this.dirtyRange.start; i < this.dirtyRange.end; i++) {
+        const connections = getConnections(this.renderPieceIds, this.width, this.height, i);
+        const info = this.renderInfo[i];
+        this.renderInfo[i] = packCellInfo(info & CELL_KIND_MASK, connections, info & CELL_FLAG_MASK);
+      }
     }
 
     return colors;
   }
 
+  // Get the kind, same-piece neighbours and animation flags of every cell,
+  // packed as kind | connections << 8 | flags (see CELL_KIND, CELL_CONNECTION and CELL_FLAG). Updated by getCellColors(), reused like its array.
+  getCellInfo() {
+    return this.renderInfo;
+  }
+
   // Get grid width (for uniform buffer)
   getWidth() {
     return this.width;
   }
 
-  // Get grid height (for uniform buffer)
+  // Get grid height including hidden rows
   getHeight() {
     return this.height;
   }
 
+  // Get visible playfield height (for uniform buffer)
+  getVisibleHeight() {
+    return this.visibleHeight;
+  }
+
   // Get lines cleared count
   getLinesCleared() {
     return this.stats.getLinesCleared();
@@ -568,8 +1514,9 @@ export class Grid {
       return false;
     }
 
-    this.lockDelayStartTime = null;
     this.currentTetromino.centerCol = newCenterCol;
+    this.resetLockDelay(false);
+    this.lastMoveWasRotation = false;
     this.updateShadow();
     return true;
   }
@@ -586,8 +1533,10 @@ export class Grid {
       return false;
     }
 
-    this.lockDelayStartTime = null;
     this.currentTetromino.centerRow = newCenterRow;
+    this.resetLockDelay(true);
+    this.lastMoveWasRotation = false;
+    this.stats.addSoftDrop(1);
     return true;
   }
 
@@ -658,7 +1607,7 @@ export class Grid {
     // Try each kick offset
     const currentPositions = this.currentTetromino.rotatedPositions || tetromino.cellPositions;
     const rotatedPositions = this.rotateRelativePosition(currentPositions, clockwise);
-    for (const [rowOffset, colOffset] of kickOffsets) {
+    for (const [kickIndex, [rowOffset, colOffset]] of kickOffsets.entries()) {
       const newCenterRow = this.currentTetromino.centerRow + rowOffset;
       const newCenterCol = this.currentTetromino.centerCol + colOffset;
 
@@ -671,11 +1620,13 @@ export class Grid {
 
       if (this.canPlaceTetromino(testState)) {
         // Success! Apply the rotation with this kick offset
-        this.lockDelayStartTime = null;
         this.currentTetromino.centerRow = newCenterRow;
         this.currentTetromino.centerCol = newCenterCol;
         this.currentTetromino.rotatedPositions = rotatedPositions;
         this.currentTetromino.rotationState = nextState;
+        this.resetLockDelay(rowOffset < 0);
+        this.lastMoveWasRotation = true;
+        this.lastKickIndex = kickIndex;
         this.updateShadow();
         return true;
       }
@@ -766,6 +1717,9 @@ export class Grid {
     // Update position without committing to grid
     if (newCenterRow !== centerRow) {
       this.currentTetromino.centerRow = newCenterRow;
+      this.lastMoveWasRotation = false;
+      this.stats.addHardDrop(centerRow - newCenterRow);
+      this.startHardDropTrail(this.currentTetromino, centerRow);
     }
 
     this.clearShadow();
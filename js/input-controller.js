@@ -0,0 +1,200 @@
+import {ACTIONS} from './actions.js';
+
+// Upper bound for moves emitted in a single tick by instant ARR or instant soft drop
+const MAX_INSTANT_REPEATS = 64;
+
+// Horizontal direction of each movement action
+const MOVE_DIRECTIONS = {
+  [ACTIONS.MOVE_LEFT]: -1,
+  [ACTIONS.MOVE_RIGHT]: 1,
+};
+
+// Tracks which actions are held and turns them into grid actions on the game tick
+// Implements Delayed Auto Shift (DAS), Auto Repeat Rate (ARR) and soft drop factor (SDF).
+// Devices (keyboard, gamepad, touch) call press()/release() with actions,
+// update() emits actions through onAction, which returns true if the grid changed.
+export class InputController {
+  constructor(options = {}) {
+    this.options = {
+      dasMs: 167,              // Delay before a held move starts repeating
+      arrMs: 33,               // Interval between repeated moves (0 = instantly to the wall)
+      softDropFactor: 20,      // Soft drop speed as a multiple of gravity (Infinity = instant)
+      preserveDasCharge: true, // Keep DAS charged when a new piece spawns
+      ...options,
+    };
+
+    // Callback receiving emitted actions
+    this.onAction = null;
+
+    // Actions currently held down
+    this.heldActions = new Set();
+
+    // Presses waiting for the next tick
+    this.pendingPresses = [];
+
+    // Held movement direction (-1 left, 1 right, 0 none), last pressed wins
+    this.moveDirection = 0;
+    this.dasElapsedMs = 0;
+    this.arrElapsedMs = 0;
+
+    this.softDropElapsedMs = 0;
+  }
+
+  // Set callback for emitted actions
+  setActionCallback(callback) {
+    this.onAction = callback;
+  }
+
+  // Update timing options (dasMs, arrMs, softDropFactor, preserveDasCharge)
+  setOptions(options) {
+    this.options = {...this.options, ...options};
+  }
+
+  // An action was pressed, it takes effect on the next tick
+  press(action) {
+    if (this.heldActions.has(action)) {
+      return;
+    }
+
+    this.heldActions.add(action);
+    this.pendingPresses.push(action);
+  }
+
+  // An action was released
+  release(action) {
+    if (!this.heldActions.delete(action)) {
+      return;
+    }
+
+    if (MOVE_DIRECTIONS[action] === this.moveDirection) {
+      // Fall back to the opposite direction if it is still held
+      const opposite = this.moveDirection < 0 ? ACTIONS.MOVE_RIGHT : ACTIONS.MOVE_LEFT;
+      this.moveDirection = this.heldActions.has(opposite) ? MOVE_DIRECTIONS[opposite] : 0;
+      this.dasElapsedMs = 0;
+      this.arrElapsedMs = 0;
+    }
+  }
+
+  // Release every held action (e.g. when the window loses focus)
+  releaseAll() {
+    this.heldActions.clear();
+    this.pendingPresses = [];
+    this.moveDirection = 0;
+    this.dasElapsedMs = 0;
+    this.arrElapsedMs = 0;
+    this.softDropElapsedMs = 0;
+  }
+
+  // Check if an action is held
+  isHeld(action) {
+    return this.heldActions.has(action);
+  }
+
+  // A new piece spawned, discard DAS charge unless it is preserved
+  onSpawn() {
+    if (!this.options.preserveDasCharge) {
+      this.dasElapsedMs = 0;
+    }
+    this.arrElapsedMs = 0;
+    this.softDropElapsedMs = 0;
+  }
+
+  emit(action) {
+    return this.onAction ? this.onAction(action) : false;
+  }
+
+  // Emit an action repeatedly until it stops changing the grid
+  emitRepeated(action) {
+    for (let i = 0; i < MAX_INSTANT_REPEATS; i++) {
+      if (!this.emit(action)) {
+        return;
+      }
+    }
+  }
+
+  // Advance one game tick
+  // gravityIntervalMs: current time per row, used to derive soft drop speed
+  update(deltaMs, gravityIntervalMs) {
+    let moveJustPressed = false;
+
+    // Presses since the last tick
+    const presses = this.pendingPresses;
+    this.pendingPresses = [];
+    for (const action of presses) {
+      if (MOVE_DIRECTIONS[action] !== undefined) {
+        // A tap released before this tick moves once without auto shift
+        if (this.heldActions.has(action)) {
+          this.moveDirection = MOVE_DIRECTIONS[action];
+          this.dasElapsedMs = 0;
+          this.arrElapsedMs = 0;
+          moveJustPressed = true;
+        }
+        this.emit(action);
+      } else if (action === ACTIONS.SOFT_DROP) {
+        this.softDropElapsedMs = 0;
+        this.emit(action);
+      } else {
+        this.emit(action);
+      }
+    }
+
+    // Auto shift for the held direction
+    if (this.moveDirection !== 0 && !moveJustPressed) {
+      this.updateAutoShift(deltaMs);
+    }
+
+    // Repeated soft drop while held
+    if (this.heldActions.has(ACTIONS.SOFT_DROP) && !presses.includes(ACTIONS.SOFT_DROP)) {
+      this.updateSoftDrop(deltaMs, gravityIntervalMs);
+    }
+  }
+
+  updateAutoShift(deltaMs) {
+    const action = this.moveDirection < 0 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT;
+    const {dasMs, arrMs} = this.options;
+
+    // Charge DAS, any time past the delay counts towards the first repeat
+    const wasCharged = this.dasElapsedMs >= dasMs;
+    this.dasElapsedMs += deltaMs;
+    if (this.dasElapsedMs < dasMs) {
+      return;
+    }
+
+    if (arrMs <= 0) {
+      this.emitRepeated(action);
+      return;
+    }
+
+    this.arrElapsedMs += wasCharged ? deltaMs : this.dasElapsedMs - dasMs;
+    if (!wasCharged) {
+      // Move as soon as DAS is charged
+      this.emit(action);
+    }
+    while (this.arrElapsedMs >= arrMs) {
+      this.arrElapsedMs -= arrMs;
+      if (!this.emit(action)) {
+        this.arrElapsedMs = 0;
+        break;
+      }
+    }
+  }
+
+  updateSoftDrop(deltaMs, gravityIntervalMs) {
+    const intervalMs = gravityIntervalMs / this.options.softDropFactor;
+    if (!(intervalMs > 0)) {
+      this.emitRepeated(ACTIONS.SOFT_DROP);
+      return;
+    }
+
+    this.softDropElapsedMs += deltaMs;
+    let repeats = 0;
+    while (this.softDropElapsedMs >= intervalMs && repeats < MAX_INSTANT_REPEATS) {
+      this.softDropElapsedMs -= intervalMs;
+      repeats++;
+      if (!this.emit(ACTIONS.SOFT_DROP)) {
+        this.softDropElapsedMs = 0;
+        break;
+      }
+    }
+  }
+}
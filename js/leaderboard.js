@@ -0,0 +1,149 @@
+// IndexedDB database holding leaderboard entries
+const DB_NAME = 'leaderboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Entries kept per game mode
+const MAX_ENTRIES_PER_MODE = 10;
+
+// Wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Entries in IndexedDB, indexed by mode
+class IndexedDbStore {
+  async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, {keyPath: 'id', autoIncrement: true});
+      store.createIndex('mode', 'mode');
+    };
+    this.db = await promisifyRequest(request);
+  }
+
+  getAll(mode) {
+    const store = this.db.transaction(STORE_NAME).objectStore(STORE_NAME);
+    return promisifyRequest(store.index('mode').getAll(mode));
+  }
+
+  async add(entry) {
+    const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    const id = await promisifyRequest(store.add(entry));
+    return {...entry, id};
+  }
+
+  async remove(entries) {
+    const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await Promise.all(entries.map((entry) => promisifyRequest(store.delete(entry.id))));
+  }
+}
+
+// Entries in localStorage, used when IndexedDB is unavailable (e.g. some private browsing modes)
+class LocalStorageStore {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      console.error('Failed to load leaderboard:', error);
+      return [];
+    }
+  }
+
+  save(entries) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    } catch (error) {
+      console.error('Failed to save leaderboard:', error);
+    }
+  }
+
+  async getAll(mode) {
+    return this.load().filter((entry) => entry.mode === mode);
+  }
+
+  async add(entry) {
+    const entries = this.load();
+    const id = entries.reduce((maxId, e) => Math.max(maxId, e.id), 0) + 1;
+    const added = {...entry, id};
+    this.save([...entries, added]);
+    return added;
+  }
+
+  async remove(removed) {
+    const ids = new Set(removed.map((entry) => entry.id));
+    this.save(this.load().filter((entry) => !ids.has(entry.id)));
+  }
+}
+
+// Best finished games per game mode
+// Entries: {id, mode, name, score, linesCleared, level, durationMs, date}
+// The game mode decides which games are ranked and how entries are ordered.
+export class Leaderboard {
+  constructor(storageKey = 'leaderboard') {
+    this.storageKey = storageKey;
+    this.store = null;
+  }
+
+  // Open IndexedDB, falling back to localStorage
+  async initialize() {
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        const store = new IndexedDbStore();
+        await store.open();
+        this.store = store;
+        return;
+      } catch (error) {
+        console.error('IndexedDB unavailable, using localStorage for the leaderboard:', error);
+      }
+    }
+
+    this.store = new LocalStorageStore(this.storageKey);
+  }
+
+  // Get the entries of a mode, best first
+  async getEntries(gameMode) {
+    const entries = await this.store.getAll(gameMode.id);
+    return entries.sort((a, b) => gameMode.compareEntries(a, b));
+  }
+
+  // Record the results of a finished game
+  // Returns {entry, rank, personalBest}, or null if the game isn't ranked in its mode.
+  async addResults(gameMode, results, name = '') {
+    if (!gameMode.id || !gameMode.isRanked(results)) {
+      return null;
+    }
+
+    const entry = await this.store.add({
+      mode: gameMode.id,
+      name,
+      score: results.score,
+      linesCleared: results.linesCleared,
+      level: results.level,
+      durationMs: results.timeMs,
+      date: new Date().toISOString(),
+    });
+
+    const entries = await this.getEntries(gameMode);
+    const rank = entries.findIndex((e) => e.id === entry.id);
+
+    // Only keep the best entries
+    if (entries.length > MAX_ENTRIES_PER_MODE) {
+      await this.store.remove(entries.slice(MAX_ENTRIES_PER_MODE));
+    }
+
+    return {
+      entry,
+      rank: rank < MAX_ENTRIES_PER_MODE ? rank : -1,
+      personalBest: rank === 0,
+    };
+  }
+}
@@ -0,0 +1,105 @@
+// Pause states
+export const PAUSE_STATE = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COUNTDOWN: 'countdown', // Resuming, game still frozen until the countdown ends
+};
+
+// Tracks pausing and the countdown before play resumes
+// The game loop only advances the game while isRunning() is true.
+export class PauseController {
+  constructor(countdownMs = 3000) {
+    this.countdownMs = countdownMs;
+    this.state = PAUSE_STATE.RUNNING;
+    this.countdownRemainingMs = 0;
+
+    // UI update callback
+    this.onChange = null;
+  }
+
+  // Set callback for state changes and countdown ticks
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+
+  changed() {
+    if (this.onChange) {
+      this.onChange(this.state, this.getCountdownSeconds());
+    }
+  }
+
+  isRunning() {
+    return this.state === PAUSE_STATE.RUNNING;
+  }
+
+  isPaused() {
+    return this.state === PAUSE_STATE.PAUSED;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Whole seconds left in the resume countdown
+  getCountdownSeconds() {
+    return Math.ceil(this.countdownRemainingMs / 1000);
+  }
+
+  pause() {
+    if (this.isPaused()) {
+      return;
+    }
+
+    this.state = PAUSE_STATE.PAUSED;
+    this.countdownRemainingMs = 0;
+    this.changed();
+  }
+
+  // Start the countdown to resume play
+  resume() {
+    if (!this.isPaused()) {
+      return;
+    }
+
+    if (this.countdownMs <= 0) {
+      this.state = PAUSE_STATE.RUNNING;
+    } else {
+      this.state = PAUSE_STATE.COUNTDOWN;
+      this.countdownRemainingMs = this.countdownMs;
+    }
+    this.changed();
+  }
+
+  // Pause while running or counting down, resume while paused
+  toggle() {
+    if (this.isPaused()) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  // Resume immediately without a countdown (e.g. starting a new game)
+  reset() {
+    this.state = PAUSE_STATE.RUNNING;
+    this.countdownRemainingMs = 0;
+    this.changed();
+  }
+
+  // Advance the resume countdown by real time elapsed
+  update(deltaMs) {
+    if (this.state !== PAUSE_STATE.COUNTDOWN) {
+      return;
+    }
+
+    const previousSeconds = this.getCountdownSeconds();
+    this.countdownRemainingMs -= deltaMs;
+    if (this.countdownRemainingMs <= 0) {
+      this.countdownRemainingMs = 0;
+      this.state = PAUSE_STATE.RUNNING;
+      this.changed();
+    } else if (this.getCountdownSeconds() !== previousSeconds) {
+      this.changed();
+    }
+  }
+}
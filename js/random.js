@@ -0,0 +1,35 @@
+// Seedable pseudo random number generator (mulberry32)
+// The same seed always yields the same sequence of numbers.
+// Any object with next(), setSeed(seed) and a seed property can be passed to Grid instead.
+export class SeededRandom {
+  // Generate a random 32-bit seed
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = 0;
+    this.state = 0;
+    this.setSeed(seed);
+  }
+
+  // Restart the sequence from a seed
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Returns a float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Returns an integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+}
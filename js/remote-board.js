@@ -0,0 +1,73 @@
+import {CELL_KIND} from './grid.js';
+
+// Color of empty cells, as on the local board
+const EMPTY_COLOR = [0.5, 0.5, 0.5, 1.0];
+
+// Board of another player's game rebuilt from the cells they send (see Grid.getBoardSnapshot),
+// drawn like the main board without the hidden rows.
+// Cells are packed 0xRRGGBB colors, -1 for empty cells.
+export class RemoteBoard {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.cells = new Int32Array(width * height).fill(-1);
+    this.cellColors = new Float32Array(width * height * 4);
+    this.cellInfo = new Uint32Array(width * height);
+
+    // Cells of the falling piece drawn over the locked cells
+    this.pieceCells = [];
+    this.clear();
+  }
+
+  clear() {
+    this.setPiece(null);
+    this.setSnapshot(new Array(this.cells.length).fill(-1));
+  }
+
+  // Show all locked cells
+  setSnapshot(cells) {
+    for (let i = 0; i < this.cells.length; i++) {
+      this.setCell(i, i < cells.length ? cells[i] : -1);
+    }
+  }
+
+  // Change one locked cell
+  setCell(cellIndex, color) {
+    this.cells[cellIndex] = color;
+    if (!this.pieceCells.includes(cellIndex)) {
+      this.drawCell(cellIndex, color, color < 0 ? CELL_KIND.EMPTY : CELL_KIND.LOCKED);
+    }
+  }
+
+  // Draw the falling piece over the given cells, null to remove it
+  // color: RGBA floats like Tetromino.color
+  setPiece(cellIndices, color = null) {
+    for (const cellIndex of this.pieceCells) {
+      const locked = this.cells[cellIndex];
+      this.drawCell(cellIndex, locked, locked < 0 ? CELL_KIND.EMPTY : CELL_KIND.LOCKED);
+    }
+
+    this.pieceCells = (cellIndices || []).filter((i) => i >= 0 && i < this.cells.length);
+    for (const cellIndex of this.pieceCells) {
+      this.cellColors.set(color, cellIndex * 4);
+      this.cellInfo[cellIndex] = CELL_KIND.ACTIVE;
+    }
+  }
+
+  drawCell(cellIndex, color, kind) {
+    if (color < 0) {
+      this.cellColors.set(EMPTY_COLOR, cellIndex * 4);
+    } else {
+      this.cellColors.set([(color >> 16 & 0xff) / 255, (color >> 8 & 0xff) / 255, (color & 0xff) / 255, 1.0], cellIndex * 4);
+    }
+    this.cellInfo[cellIndex] = kind;
+  }
+
+  getCellColors() {
+    return this.cellColors;
+  }
+
+  getCellInfo() {
+    return this.cellInfo;
+  }
+}
@@ -0,0 +1,63 @@
+// Coalesces render requests into a single draw per animation frame
+// Surfaces are registered with a function returning their slots (see BaseRenderer),
+// invalidate() marks them for the next frame and all of them are drawn in one batch.
+export class RenderScheduler {
+  constructor(renderer) {
+    this.renderer = renderer;
+
+    // Registered surfaces by name: {surface, getSlots, getAnimation}
+    this.surfaces = new Map();
+
+    // Names of surfaces to draw on the next frame
+    this.invalidated = new Set();
+    this.frameRequested = false;
+
+    // Reused between frames
+    this.passes = [];
+  }
+
+  // Register a surface, getSlots() is called on the frame it is drawn
+  // getAnimation() (optional) returns the animation timers drawn with it, see BaseRenderer.draw()
+  addSurface(name, surface, getSlots, getAnimation = null) {
+    this.surfaces.set(name, {surface, getSlots, getAnimation});
+  }
+
+  // Draw surfaces on the next frame
+  invalidate(...names) {
+    for (const name of names) {
+      this.invalidated.add(name);
+    }
+    this.requestFrame();
+  }
+
+  invalidateAll() {
+    this.invalidate(...this.surfaces.keys());
+  }
+
+  requestFrame() {
+    if (this.frameRequested) {
+      return;
+    }
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this.flush();
+    });
+  }
+
+  // Draw the invalidated surfaces now
+  // The game loop calls this at the end of its frame, so the scheduled callback finds nothing to do.
+  flush() {
+    if (this.invalidated.size === 0) {
+      return;
+    }
+
+    this.passes.length = 0;
+    for (const name of this.invalidated) {
+      const {surface, getSlots, getAnimation} = this.surfaces.get(name);
+      this.passes.push({surface, slots: getSlots(), animation: getAnimation ? getAnimation() : null});
+    }
+    this.invalidated.clear();
+    this.renderer.draw(this.passes);
+  }
+}
@@ -1,3 +1,6 @@
+import {BaseRenderer, DEFAULT_CLEAR_COLOR, GHOST_STYLE} from './base-renderer.js';
+import {CanvasRenderer} from './canvas-renderer.js';
+
 // Vertices for rendering a cell (2 triangles per cell)
 // Cell have inner padding of 20%
 export const vertices = new Float32Array([
@@ -11,11 +14,48 @@ export const vertices = new Float32Array([
   -0.8, 0.8,
 ]);
 
-export class Renderer {
+// Attempts to get a new device after the GPU was lost, and the delay between attempts
+const DEVICE_RESTORE_ATTEMPTS = 5;
+const DEVICE_RESTORE_RETRY_MS = 1000;
+
+// Ghost styles as numbered in the shader
+const GHOST_STYLE_CODES = {
+  [GHOST_STYLE.TRANSLUCENT]: 0,
+  [GHOST_STYLE.OUTLINE]: 1,
+};
+
+// Uniforms struct of the shader: grid (vec2f), ghostStyle (u32), connectCells (u32),
+// then the animation timers (f32 each, see ANIMATION_FIELDS) padded to 16 bytes
+const UNIFORMS_BYTE_LENGTH = 48;
+const ANIMATION_UNIFORMS_OFFSET = 16;
+
+// Animation state fields in the order of the Uniforms struct
+const ANIMATION_FIELDS = [
+  'timeMs',
+  'lineClearStartMs',
+  'lineClearDurationMs',
+  'lockFlashStartMs',
+  'lockFlashDurationMs',
+  'trailStartMs',
+  'trailDurationMs',
+];
+
+// WebGPU renderer, cells are instanced quads colored from a storage buffer (shaders/cell.wgsl)
+// If the device is lost (GPU reset, driver crash) a new one is requested and every surface
+// is rebuilt in place, drawing is skipped until then.
+export class Renderer extends BaseRenderer {
   constructor() {
+    super();
     this.device = null;
     this.vertexBuffer = null;
     this.renderPipeline = null;
+    this.shaderCode = null;
+
+    // Surfaces to rebuild after device loss
+    this.surfaces = [];
+
+    // Reused for animation uniform uploads
+    this.animationData = new Float32Array(ANIMATION_FIELDS.length);
   }
 
   async initialize() {
@@ -26,10 +66,24 @@ export class Renderer {
       console.log('WebGPU is supported in this browser.');
     }
 
+    // Load shader code from external file, kept for rebuilding the pipeline
+    const shaderResponse = await fetch('/shaders/cell.wgsl');
+    this.shaderCode = await shaderResponse.text();
+
+    await this.createDevice();
+  }
+
+  // Request a device and create the resources shared by all surfaces
+  async createDevice() {
     const adapter = await navigator.gpu.requestAdapter();
     if (!adapter) throw new Error('No suitable GPU adapter found.');
 
-    this.device = await adapter.requestDevice();
+    const device = await adapter.requestDevice();
+    device.lost.then((info) => this.handleDeviceLost(device, info));
+    device.addEventListener('uncapturederror', (event) => {
+      console.error('WebGPU error:', event.error);
+    });
+    this.device = device;
 
     this.vertexBuffer = this.device.createBuffer({
       label: 'cell vertices',
@@ -49,13 +103,9 @@ export class Renderer {
       ],
     };
 
-    // Load shader code from external file
-    const shaderResponse = await fetch('/shaders/cell.wgsl');
-    const shaderCode = await shaderResponse.text();
-
     const cellShaderModule = this.device.createShaderModule({
       label: "Cell shader",
-      code: shaderCode,
+      code: this.shaderCode,
     });
 
     this.renderPipeline = this.device.createRenderPipeline({
@@ -70,10 +120,258 @@ export class Renderer {
         module: cellShaderModule,
         entryPoint: "fragmentMain",
         targets: [{
-          format: navigator.gpu.getPreferredCanvasFormat()
+          format: navigator.gpu.getPreferredCanvasFormat(),
+          // Ghost cells are blended over the board
+          blend: {
+            color: {
+              srcFactor: 'src-alpha',
+              dstFactor: 'one-minus-src-alpha',
+            },
+            alpha: {
+              srcFactor: 'one',
+              dstFactor: 'one-minus-src-alpha',
+            },
+          },
         }]
       }
     });
   }
+
+  // Check if drawing is possible, false while the device is being restored
+  isReady() {
+    return this.device !== null;
+  }
+
+  handleDeviceLost(device, info) {
+    // Ignore devices already replaced
+    if (device !== this.device) {
+      return;
+    }
+
+    console.error(`WebGPU device lost (${info.reason}): ${info.message}`);
+    this.device = null;
+
+    // Lost on purpose with device.destroy()
+    if (info.reason === 'destroyed') {
+      return;
+    }
+    this.restoreDevice();
+  }
+
+  // Get a new device and rebuild every surface, then ask for a redraw
+  async restoreDevice() {
+    for (let attempt = 1; attempt <= DEVICE_RESTORE_ATTEMPTS; attempt++) {
+      try {
+        await this.createDevice();
+        this.surfaces.forEach((surface) => this.buildSurface(surface));
+        console.log('WebGPU device restored.');
+        if (this.onRestore) {
+          this.onRestore();
+        }
+        return;
+      } catch (error) {
+        console.error(`Failed to restore WebGPU device (attempt ${attempt}):`, error);
+        this.device = null;
+        await new Promise((resolve) => setTimeout(resolve, DEVICE_RESTORE_RETRY_MS));
+      }
+    }
+    console.error('Giving up on restoring the WebGPU device.');
+  }
+
+  // Buffers and bind group of one slot
+  createSlot(uniformData, cellCount, label) {
+    const uniformBuffer = this.device.createBuffer({
+      label: `${label} Uniforms`,
+      size: uniformData.byteLength,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    this.device.queue.writeBuffer(uniformBuffer, 0, uniformData);
+
+    const cellColorsBuffer = this.device.createBuffer({
+      label: `${label} Cell Colors`,
+      size: cellCount * 4 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    const centerOffsetBuffer = this.device.createBuffer({
+      label: `${label} Center Offset`,
+      size: 2 * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    const cellInfoBuffer = this.device.createBuffer({
+      label: `${label} Cell Info`,
+      size: cellCount * Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    const bindGroup = this.device.createBindGroup({
+      label: `${label} bind group`,
+      layout: this.renderPipeline.getBindGroupLayout(0),
+      entries: [
+        {
+          binding: 0,
+          resource: {buffer: uniformBuffer}
+        },
+        {
+          binding: 1,
+          resource: {buffer: cellColorsBuffer}
+        },
+        {
+          binding: 2,
+          resource: {buffer: centerOffsetBuffer}
+        },
+        {
+          binding: 3,
+          resource: {buffer: cellInfoBuffer}
+        }
+      ],
+    });
+
+    return {
+      uniformBuffer,
+      cellColorsBuffer,
+      centerOffsetBuffer,
+      cellInfoBuffer,
+      bindGroup,
+    };
+  }
+
+  createSurface(canvas, {
+    columns,
+    rows,
+    slots = 1,
+    clearColor = DEFAULT_CLEAR_COLOR,
+    ghostStyle = GHOST_STYLE.TRANSLUCENT,
+    connectCells = false,
+    label = 'Surface',
+  }) {
+    const surface = {
+      canvas,
+      context: canvas.getContext('webgpu'),
+      columns,
+      rows,
+      slotCount: slots,
+      cellCount: BaseRenderer.getCellCount(columns, rows),
+      clearColor,
+      ghostStyle,
+      connectCells,
+      label,
+      slots: [],
+    };
+    this.buildSurface(surface);
+    this.surfaces.push(surface);
+    return surface;
+  }
+
+  // Configure the canvas and create the slot resources with the current device
+  buildSurface(surface) {
+    const {context, columns, rows, slotCount, cellCount, ghostStyle, connectCells, label} = surface;
+    context.configure({
+      device: this.device,
+      format: navigator.gpu.getPreferredCanvasFormat(),
+    });
+
+    // Each slot has its own bind group so pieces are centered individually
+    const uniformData = new ArrayBuffer(UNIFORMS_BYTE_LENGTH);
+    new Float32Array(uniformData, 0, 2).set([columns, rows]);
+    new Uint32Array(uniformData, 8, 2).set([GHOST_STYLE_CODES[ghostStyle], connectCells ? 1 : 0]);
+    surface.slots = [];
+    for (let i = 0; i < slotCount; i++) {
+      surface.slots.push(this.createSlot(uniformData, cellCount, slotCount > 1 ? `${label} ${i}` : label));
+    }
+  }
+
+  // Upload the changed cells of each slot
+  // Only the drawn cells are written, e.g. the hidden rows above the peek row are skipped.
+  writeSlots(surface, slots) {
+    slots.forEach(({cellColors, cellInfo, centerOffset, dirtyStart = 0, dirtyEnd = surface.cellCount}, i) => {
+      const {cellColorsBuffer, cellInfoBuffer, centerOffsetBuffer} = surface.slots[i];
+      const start = Math.max(dirtyStart, 0);
+      const end = Math.min(dirtyEnd, surface.cellCount);
+      if (start < end) {
+        this.device.queue.writeBuffer(
+          cellColorsBuffer,
+          start * 4 * Float32Array.BYTES_PER_ELEMENT,
+          cellColors,
+          start * 4,
+          (end - start) * 4
+        );
+        this.device.queue.writeBuffer(
+          cellInfoBuffer,
+          start * Uint32Array.BYTES_PER_ELEMENT,
+          cellInfo,
+          start,
+          end - start
+        );
+      }
+      this.device.queue.writeBuffer(centerOffsetBuffer, 0, centerOffset);
+    });
+  }
+
+  // Upload the animation timers to the uniforms of every slot, the shader animates from them
+  writeAnimation(surface, animation) {
+    ANIMATION_FIELDS.forEach((field, i) => {
+      this.animationData[i] = animation[field];
+    });
+    surface.slots.forEach(({uniformBuffer}) => {
+      this.device.queue.writeBuffer(uniformBuffer, ANIMATION_UNIFORMS_OFFSET, this.animationData);
+    });
+  }
+
+  // Record every surface into one command buffer and submit it once
+  draw(passes) {
+    if (!this.isReady()) {
+      return;
+    }
+
+    const encoder = this.device.createCommandEncoder();
+    passes.forEach(({surface, slots, animation}) => {
+      this.writeSlots(surface, slots);
+      if (animation) {
+        this.writeAnimation(surface, animation);
+      }
+      this.encodeSurface(encoder, surface, slots);
+    });
+    this.device.queue.submit([encoder.finish()]);
+  }
+
+  encodeSurface(encoder, surface, slots) {
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [{
+        view: surface.context.getCurrentTexture().createView(),
+        loadOp: 'clear',
+        clearValue: surface.clearColor,
+        storeOp: 'store',
+      }]
+    });
+
+    pass.setPipeline(this.renderPipeline);
+    pass.setVertexBuffer(0, this.vertexBuffer);
+
+    // Slots are stacked top to bottom
+    const slotHeight = surface.canvas.height / surface.slots.length;
+    slots.forEach((slot, i) => {
+      pass.setViewport(0, slotHeight * i, surface.canvas.width, slotHeight, 0, 1);
+      pass.setBindGroup(0, surface.slots[i].bindGroup);
+      pass.draw(vertices.length / 2, surface.cellCount);
+    });
+
+    pass.end();
+  }
 }
 
+// Create the best renderer available, WebGPU with a Canvas2D fallback
+export async function createRenderer() {
+  try {
+    const renderer = new Renderer();
+    await renderer.initialize();
+    return renderer;
+  } catch (error) {
+    console.error('WebGPU renderer unavailable, falling back to Canvas2D:', error);
+  }
+
+  const renderer = new CanvasRenderer();
+  await renderer.initialize();
+  return renderer;
+}
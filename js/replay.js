@@ -0,0 +1,305 @@
+import {ACTIONS, applyAction} from './actions.js';
+import {FRAME_MS} from './gravity.js';
+import {LOCK_RESET_MODE} from './grid.js';
+
+export const REPLAY_VERSION = 1;
+
+// Actions are stored as their index in this list to keep replay files small
+// Only append to this list, existing indices are part of the file format
+const ACTION_CODES = [
+  ACTIONS.MOVE_LEFT,
+  ACTIONS.MOVE_RIGHT,
+  ACTIONS.SOFT_DROP,
+  ACTIONS.HARD_DROP,
+  ACTIONS.ROTATE_CW,
+  ACTIONS.ROTATE_CCW,
+  ACTIONS.HOLD,
+];
+
+// Settings missing from replays recorded before they existed, the values those games played with
+const LEGACY_SETTINGS = {
+  lineClearDelayMs: 0,
+  entryDelayMs: 0,
+  lockResetMode: LOCK_RESET_MODE.MOVE,
+  maxLockResets: 15,
+  mode: null,
+};
+
+// Settings that size the board, a replay only plays back on a grid with the same ones
+const BOARD_SETTINGS = ['width', 'height', 'hiddenRows', 'nextQueueSize'];
+
+function isCount(value, min = 0) {
+  return Number.isInteger(value) && value >= min;
+}
+
+function isDuration(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Check the settings of a parsed replay, filling in the ones older replays lack
+function parseSettings(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Missing replay settings');
+  }
+
+  const settings = {...LEGACY_SETTINGS, ...data};
+  const valid = {
+    width: isCount(settings.width, 1),
+    height: isCount(settings.height, 1),
+    hiddenRows: isCount(settings.hiddenRows),
+    nextQueueSize: isCount(settings.nextQueueSize),
+    lockDelayMs: isDuration(settings.lockDelayMs),
+    lineClearDelayMs: isDuration(settings.lineClearDelayMs),
+    entryDelayMs: isDuration(settings.entryDelayMs),
+    lockResetMode: Object.values(LOCK_RESET_MODE).includes(settings.lockResetMode),
+    maxLockResets: isCount(settings.maxLockResets),
+    mode: settings.mode === null || typeof settings.mode === 'string',
+  };
+  for (const [name, isValid] of Object.entries(valid)) {
+    if (!isValid) {
+      throw new Error(`Invalid replay setting ${name}: ${settings[name]}`);
+    }
+  }
+  return settings;
+}
+
+// Records the seed and every action with the tick it happened on
+// Replay format: {version, seed, tickMs, settings, ticks, inputs: [{tick, action}]}
+export class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+    this.recording = false;
+  }
+
+  // Start recording a game that has just been reset and spawned its first piece
+  start(grid, mode = null) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed: grid.getSeed(),
+      tickMs: FRAME_MS,
+      settings: {
+        width: grid.getWidth(),
+        height: grid.getVisibleHeight(),
+        hiddenRows: grid.hiddenRows,
+        lockDelayMs: grid.lockDelayMs,
+        lineClearDelayMs: grid.lineClearDelayMs,
+        entryDelayMs: grid.entryDelayMs,
+        nextQueueSize: grid.getNextQueueSize(),
+        lockResetMode: grid.lockResetMode,
+        maxLockResets: grid.maxLockResets,
+        mode,
+      },
+      ticks: 0,
+      inputs: [],
+    };
+    this.recording = true;
+  }
+
+  // Record an action performed after `tick` updates
+  record(tick, action) {
+    if (!this.recording) {
+      return;
+    }
+
+    this.replay.inputs.push({tick, action});
+    // Inputs are applied before the next update, so the replay must include it
+    this.replay.ticks = Math.max(this.replay.ticks, tick + 1);
+  }
+
+  // Stop recording, the replay covers the game up to `tick`
+  stop(tick) {
+    if (!this.recording) {
+      return this.replay;
+    }
+
+    this.replay.ticks = Math.max(this.replay.ticks, tick);
+    this.recording = false;
+    return this.replay;
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  // Get the latest recorded replay, or null
+  getReplay() {
+    return this.replay;
+  }
+}
+
+// Serialize a replay to compact JSON
+// Inputs are flattened to [tickDelta, actionCode, ...] pairs
+export function serializeReplay(replay) {
+  const inputs = [];
+  let previousTick = 0;
+  for (const {tick, action} of replay.inputs) {
+    inputs.push(tick - previousTick, ACTION_CODES.indexOf(action));
+    previousTick = tick;
+  }
+
+  return JSON.stringify({
+    v: replay.version,
+    seed: replay.seed,
+    tickMs: replay.tickMs,
+    settings: replay.settings,
+    ticks: replay.ticks,
+    inputs,
+  });
+}
+
+// Parse a replay serialized with serializeReplay
+export function parseReplay(text) {
+  const data = JSON.parse(text);
+  if (data.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${data.v}`);
+  }
+  if (!isCount(data.seed)) {
+    throw new Error(`Invalid replay seed: ${data.seed}`);
+  }
+  if (!isDuration(data.tickMs) || data.tickMs === 0) {
+    throw new Error(`Invalid replay tick length: ${data.tickMs}`);
+  }
+  if (!isCount(data.ticks)) {
+    throw new Error(`Invalid replay length: ${data.ticks}`);
+  }
+  const settings = parseSettings(data.settings);
+  if (!Array.isArray(data.inputs) || data.inputs.length % 2 !== 0) {
+    throw new Error('Invalid replay inputs');
+  }
+
+  const inputs = [];
+  let tick = 0;
+  for (let i = 0; i < data.inputs.length; i += 2) {
+    const action = ACTION_CODES[data.inputs[i + 1]];
+    if (!action) {
+      throw new Error(`Unknown replay action code: ${data.inputs[i + 1]}`);
+    }
+    if (!isCount(data.inputs[i])) {
+      throw new Error(`Invalid replay input tick: ${data.inputs[i]}`);
+    }
+    tick += data.inputs[i];
+    inputs.push({tick, action});
+  }
+
+  return {
+    version: data.v,
+    seed: data.seed,
+    tickMs: data.tickMs,
+    settings,
+    ticks: data.ticks,
+    inputs,
+  };
+}
+
+// Plays a replay back through a Grid, with pause, speed and seeking
+export class ReplayPlayer {
+  constructor(replay, grid, mode = null) {
+    const boardSettings = {
+      width: grid.getWidth(),
+      height: grid.getVisibleHeight(),
+      hiddenRows: grid.hiddenRows,
+      nextQueueSize: grid.getNextQueueSize(),
+    };
+    for (const name of BOARD_SETTINGS) {
+      if (replay.settings[name] !== boardSettings[name]) {
+        throw new Error(`Replay ${name} ${replay.settings[name]} does not match the board (${boardSettings[name]})`);
+      }
+    }
+
+    this.replay = replay;
+    this.grid = grid;
+    // Game mode the replay was recorded in, ends the game at the same tick
+    this.mode = mode;
+    this.speed = 1;
+    this.paused = false;
+    this.elapsedMs = 0;
+    this.inputIndex = 0;
+
+    this.restart();
+  }
+
+  // Reset the grid to the start of the replay
+  restart() {
+    const {lineClearDelayMs, entryDelayMs, lockDelayMs, lockResetMode, maxLockResets} = this.replay.settings;
+    this.grid.setDelays({lineClearDelayMs, entryDelayMs});
+    this.grid.setLockDelay({lockDelayMs, lockResetMode, maxLockResets});
+    this.grid.reset(this.replay.seed);
+    if (this.mode) {
+      this.mode.start(this.grid);
+    }
+    this.grid.spawnTetromino();
+    this.elapsedMs = 0;
+    this.inputIndex = 0;
+  }
+
+  // Get current replay tick
+  getTick() {
+    return this.grid.getTick();
+  }
+
+  // Get total replay length in ticks
+  getLength() {
+    return this.replay.ticks;
+  }
+
+  isFinished() {
+    return this.getTick() >= this.replay.ticks || this.grid.isGameOver();
+  }
+
+  play() {
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  // Set playback speed multiplier (e.g. 0.5, 1, 2)
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Apply the inputs recorded for the current tick, then advance one tick
+  step() {
+    const inputs = this.replay.inputs;
+    const tick = this.getTick();
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= tick) {
+      applyAction(this.grid, inputs[this.inputIndex].action);
+      this.inputIndex++;
+    }
+    this.grid.update(this.replay.tickMs);
+    if (this.mode) {
+      this.mode.update(this.grid);
+    }
+  }
+
+  // Advance playback by real time elapsed
+  update(deltaMs) {
+    if (this.paused) {
+      return;
+    }
+
+    this.elapsedMs += deltaMs * this.speed;
+    while (this.elapsedMs >= this.replay.tickMs && !this.isFinished()) {
+      this.elapsedMs -= this.replay.tickMs;
+      this.step();
+    }
+  }
+
+  // Jump to a tick, rewinding re-simulates from the start
+  seek(tick) {
+    const targetTick = Math.max(0, Math.min(tick, this.replay.ticks));
+    if (targetTick < this.getTick()) {
+      this.restart();
+    }
+
+    while (this.getTick() < targetTick && !this.isFinished()) {
+      this.step();
+    }
+    this.elapsedMs = 0;
+  }
+}
@@ -0,0 +1,356 @@
+import {REQUEST_ERROR, WebSocketClient} from './websocket.js';
+import {TETROMINOES} from './tetromino.js';
+import {RemoteBoard} from './remote-board.js';
+
+// Messages exchanged with the spectator relay (server/spectator-server.mjs)
+export const SPECTATOR_MESSAGE = {
+  HOST: 'host',           // host: {gameId, name} start or resume broadcasting, gameId null for a new game
+  HOSTED: 'hosted',       // server: {gameId}
+  SNAPSHOT: 'snapshot',   // host: {seq, gameId, width, height, cells, piece, hold, next, stats} full state
+  DELTA: 'delta',         // host: {seq, gameId, ...changed fields}, cells as [index, color, ...] pairs
+  LIST: 'list',           // viewer request: the live games, answered with {games: [{gameId, name}]}
+  WATCH: 'watch',         // viewer: {gameId}, answered with the latest snapshot and the deltas since
+  RESYNC: 'resync',       // viewer: {gameId} missed deltas, same answer as watch / server to host: send a snapshot
+  GAME_ENDED: 'gameEnded', // server: {gameId} the host stopped broadcasting
+};
+
+// Viewer state, see SpectatorViewer
+export const SPECTATOR_STATE = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  WATCHING: 'watching',
+  RESYNCING: 'resyncing', // Deltas were missed, waiting for a snapshot
+  ENDED: 'ended',         // The watched game stopped broadcasting
+};
+
+// Minimum time between two updates sent by the host
+const BROADCAST_INTERVAL_MS = 50;
+
+// Game state sent to spectators, piece is {shape, cells} with visible cell indices
+function captureState(grid) {
+  const current = grid.getCurrentTetromino();
+  const held = grid.getHeldTetromino();
+  return {
+    cells: grid.getBoardSnapshot(),
+    piece: current ? {shape: current.shape, cells: grid.getCurrentTetrominoCells()} : null,
+    hold: held ? held.shape : null,
+    next: grid.getNextQueue().map((tetromino) => tetromino.shape),
+    stats: {score: grid.getScore(), linesCleared: grid.getLinesCleared(), level: grid.getLevel()},
+  };
+}
+
+// Compare the small fields of the state (piece, hold, next, stats)
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Changes from one state to the next, null if nothing changed
+function getDelta(previous, state) {
+  const delta = {};
+  const cells = [];
+  state.cells.forEach((color, i) => {
+    if (color !== previous.cells[i]) {
+      cells.push(i, color);
+    }
+  });
+  if (cells.length > 0) {
+    delta.cells = cells;
+  }
+  for (const field of ['piece', 'hold', 'next', 'stats']) {
+    if (!isSameValue(previous[field], state[field])) {
+      delta[field] = state[field];
+    }
+  }
+  return Object.keys(delta).length > 0 ? delta : null;
+}
+
+// Streams the local game to spectators through the relay
+// Every update has a sequence number, viewers that miss one ask the relay for a resync.
+export class SpectatorBroadcaster {
+  constructor(grid, url) {
+    this.grid = grid;
+    this.url = url;
+    this.client = null;
+    this.name = '';
+    this.gameId = null;
+    this.hosted = false;
+
+    this.seq = 0;
+    this.lastState = null; // State as the spectators have it
+    this.snapshotRequested = true;
+    this.elapsedMs = 0;
+  }
+
+  isBroadcasting() {
+    return this.client !== null;
+  }
+
+  // Connect and start broadcasting, the game keeps its id across reconnects
+  start(name = '') {
+    this.name = name;
+    this.client = new WebSocketClient(this.url);
+
+    this.client.on('open', () => {
+      this.client.send({type: SPECTATOR_MESSAGE.HOST, gameId: this.gameId, name: this.name});
+    });
+    this.client.on('close', () => {
+      // Updates sent while disconnected are lost, start over with a snapshot
+      this.hosted = false;
+      this.snapshotRequested = true;
+    });
+    this.client.on(SPECTATOR_MESSAGE.HOSTED, ({gameId}) => {
+      this.gameId = gameId;
+      this.hosted = true;
+    });
+    this.client.on(SPECTATOR_MESSAGE.RESYNC, () => {
+      this.snapshotRequested = true;
+    });
+  }
+
+  stop() {
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+    }
+    this.hosted = false;
+    this.gameId = null;
+    this.lastState = null;
+    this.snapshotRequested = true;
+  }
+
+  // Send the changes since the last update, call once per frame
+  update(deltaMs) {
+    this.elapsedMs += deltaMs;
+    if (!this.hosted || this.elapsedMs < BROADCAST_INTERVAL_MS) {
+      return;
+    }
+    this.elapsedMs = 0;
+
+    const state = captureState(this.grid);
+    if (this.snapshotRequested || !this.lastState) {
+      this.snapshotRequested = false;
+      this.send(SPECTATOR_MESSAGE.SNAPSHOT, {
+        width: this.grid.getWidth(),
+        height: this.grid.getVisibleHeight(),
+        ...state,
+      });
+    } else {
+      const delta = getDelta(this.lastState, state);
+      if (!delta) {
+        return;
+      }
+      this.send(SPECTATOR_MESSAGE.DELTA, delta);
+    }
+    this.lastState = state;
+  }
+
+  send(type, payload) {
+    this.seq++;
+    this.client.send({type, seq: this.seq, gameId: this.gameId, ...payload});
+  }
+}
+
+// Watches a broadcast game read-only, rebuilding its board from snapshots and deltas
+export class SpectatorViewer {
+  constructor(url, width = 10, height = 20) {
+    this.url = url;
+    this.client = null;
+    this.state = SPECTATOR_STATE.IDLE;
+    this.gameId = null;
+    this.seq = null; // Sequence number of the last update applied
+
+    this.board = new RemoteBoard(width, height);
+    this.hold = null;
+    this.next = [];
+    this.stats = null;
+
+    this.onStateChange = null;
+    this.onUpdate = null;
+    this.onGames = null;
+  }
+
+  // Set callback for state changes: (state)
+  setStateCallback(callback) {
+    this.onStateChange = callback;
+  }
+
+  // Set callback for board, piece and stats changes
+  setUpdateCallback(callback) {
+    this.onUpdate = callback;
+  }
+
+  // Set callback for the list of live games: (games) [{gameId, name}]
+  setGamesCallback(callback) {
+    this.onGames = callback;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  getBoard() {
+    return this.board;
+  }
+
+  // Held piece shape, or null
+  getHold() {
+    return this.hold;
+  }
+
+  // Next queue shapes, next piece first
+  getNext() {
+    return this.next;
+  }
+
+  // {score, linesCleared, level}, or null before the first snapshot
+  getStats() {
+    return this.stats;
+  }
+
+  setState(state) {
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+
+  // Connect to the relay, the live games are listed once connected
+  connect() {
+    if (this.client) {
+      return;
+    }
+    this.client = new WebSocketClient(this.url);
+
+    this.client.on('open', () => {
+      this.listGames();
+      // Deltas may have been missed while disconnected, watching again starts from a snapshot
+      if (this.gameId !== null) {
+        this.requestSnapshot(SPECTATOR_MESSAGE.WATCH);
+      }
+    });
+    this.client.on(SPECTATOR_MESSAGE.SNAPSHOT, (message) => {
+      if (message.gameId === this.gameId) {
+        this.applySnapshot(message);
+      }
+    });
+    this.client.on(SPECTATOR_MESSAGE.DELTA, (message) => {
+      if (message.gameId === this.gameId) {
+        this.applyDelta(message);
+      }
+    });
+    this.client.on(SPECTATOR_MESSAGE.GAME_ENDED, ({gameId}) => {
+      if (gameId === this.gameId) {
+        this.setState(SPECTATOR_STATE.ENDED);
+      }
+    });
+  }
+
+  // Ask the relay for the live games, they are listed once connected
+  refreshGames() {
+    this.connect();
+    if (this.client.isOpen()) {
+      this.listGames();
+    }
+  }
+
+  listGames() {
+    this.client.request(SPECTATOR_MESSAGE.LIST)
+      .then(({games}) => {
+        if (this.onGames) {
+          this.onGames(games);
+        }
+      })
+      .catch((error) => {
+        // Closed by stop()
+        if (error.code !== REQUEST_ERROR.CLOSED) {
+          console.error('Failed to list spectator games:', error);
+        }
+      });
+  }
+
+  // Start watching a game
+  watch(gameId) {
+    this.connect();
+    this.gameId = gameId;
+    this.board.clear();
+    this.hold = null;
+    this.next = [];
+    this.stats = null;
+    this.updated();
+    // Sent once connected otherwise
+    if (this.client.isOpen()) {
+      this.requestSnapshot(SPECTATOR_MESSAGE.WATCH);
+    } else {
+      this.setState(SPECTATOR_STATE.CONNECTING);
+    }
+  }
+
+  // Disconnect from the relay
+  stop() {
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+    }
+    this.gameId = null;
+    this.setState(SPECTATOR_STATE.IDLE);
+  }
+
+  requestSnapshot(type) {
+    this.seq = null;
+    this.setState(type === SPECTATOR_MESSAGE.WATCH ? SPECTATOR_STATE.CONNECTING : SPECTATOR_STATE.RESYNCING);
+    this.client.send({type, gameId: this.gameId});
+  }
+
+  applySnapshot({seq, cells, piece, hold, next, stats}) {
+    this.seq = seq;
+    this.board.setSnapshot(cells);
+    this.applyFields({piece, hold, next, stats});
+    this.setState(SPECTATOR_STATE.WATCHING);
+    this.updated();
+  }
+
+  applyDelta(delta) {
+    // Deltas only apply on top of the previous update, a gap needs a fresh snapshot
+    if (this.seq === null) {
+      return;
+    }
+    if (delta.seq <= this.seq) {
+      return;
+    }
+    if (delta.seq !== this.seq + 1) {
+      this.requestSnapshot(SPECTATOR_MESSAGE.RESYNC);
+      return;
+    }
+
+    this.seq = delta.seq;
+    if (delta.cells) {
+      for (let i = 0; i < delta.cells.length; i += 2) {
+        this.board.setCell(delta.cells[i], delta.cells[i + 1]);
+      }
+    }
+    this.applyFields(delta);
+    this.updated();
+  }
+
+  applyFields(fields) {
+    if ('piece' in fields) {
+      const {piece} = fields;
+      this.board.setPiece(piece && piece.cells, piece && TETROMINOES[piece.shape].color);
+    }
+    if ('hold' in fields) {
+      this.hold = fields.hold;
+    }
+    if ('next' in fields) {
+      this.next = fields.next;
+    }
+    if ('stats' in fields) {
+      this.stats = fields.stats;
+    }
+  }
+
+  updated() {
+    if (this.onUpdate) {
+      this.onUpdate();
+    }
+  }
+}
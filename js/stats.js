@@ -1,3 +1,13 @@
+// T-spin kinds detected on lock
+export const T_SPIN = {
+  NONE: 'none',
+  MINI: 'mini',
+  FULL: 'full',
+};
+
+// Display names indexed by number of lines cleared
+const LINE_CLEAR_NAMES = ['', 'Single', 'Double', 'Triple', 'Tetris'];
+
 export class Stats {
   constructor() {
     // Lines cleared counter
@@ -6,12 +16,40 @@ export class Stats {
     // Score counter
     this.score = 0;
 
-    // Scoring points for line clears (classic Tetris scoring)
+    // Scoring points for line clears (guideline scoring)
     this.SCORE_SINGLE = 100;
     this.SCORE_DOUBLE = 300;
     this.SCORE_TRIPLE = 500;
     this.SCORE_TETRIS = 800;
 
+    // Scoring points for T-spins, indexed by lines cleared
+    this.SCORE_T_SPIN = [400, 800, 1200, 1600];
+    this.SCORE_T_SPIN_MINI = [100, 200, 400];
+
+    // Bonus points for clearing the whole board, indexed by lines cleared
+    this.SCORE_PERFECT_CLEAR = [0, 800, 1200, 1800, 2000];
+    this.SCORE_PERFECT_CLEAR_B2B_TETRIS = 3200;
+
+    // Points per cell dropped
+    this.SCORE_SOFT_DROP = 1;
+    this.SCORE_HARD_DROP = 2;
+
+    // Combo bonus per consecutive clear, and back-to-back multiplier for difficult clears
+    this.SCORE_COMBO = 50;
+    this.BACK_TO_BACK_MULTIPLIER = 1.5;
+
+    // Consecutive line clears (-1 = no combo running)
+    this.combo = -1;
+
+    // Whether the last line clear was a difficult clear (Tetris or T-spin)
+    this.backToBack = false;
+
+    // Description of the most recent scoring lock, for UI callouts
+    this.lastClear = null;
+
+    // Highest level reached, set by game modes (kept across resets)
+    this.maxLevel = Infinity;
+
     // UI update callback
     this.onUpdate = null;
   }
@@ -33,26 +71,121 @@ export class Stats {
     }
   }
 
+  // Calculate base points for a T-spin (without level multiplier)
+  calculateTSpinPoints(linesCleared, tSpin) {
+    const table = tSpin === T_SPIN.MINI ? this.SCORE_T_SPIN_MINI : this.SCORE_T_SPIN;
+    return table[Math.min(linesCleared, table.length - 1)];
+  }
+
   // Calculate points based on number of lines cleared and current level
-  calculatePoints(linesCleared) {
-    const basePoints = this.calculateBasePoints(linesCleared);
+  calculatePoints(linesCleared, tSpin = T_SPIN.NONE) {
+    const basePoints = tSpin === T_SPIN.NONE
+      ? this.calculateBasePoints(linesCleared)
+      : this.calculateTSpinPoints(linesCleared, tSpin);
     return basePoints * this.getLevel();
   }
 
-  // Add cleared lines and update score
-  addLinesCleared(count) {
-    if (count <= 0) {
+  // Get display name for a clear, e.g. "T-Spin Double"
+  getClearName(linesCleared, tSpin) {
+    const lineName = LINE_CLEAR_NAMES[linesCleared] || `${linesCleared} Lines`;
+    if (tSpin === T_SPIN.NONE) {
+      return lineName;
+    }
+
+    const tSpinName = tSpin === T_SPIN.MINI ? 'T-Spin Mini' : 'T-Spin';
+    return linesCleared > 0 ? `${tSpinName} ${lineName}` : tSpinName;
+  }
+
+  // Add points for cells moved by soft drop
+  addSoftDrop(cells) {
+    this.addPoints(cells * this.SCORE_SOFT_DROP);
+  }
+
+  // Add points for cells moved by hard drop
+  addHardDrop(cells) {
+    this.addPoints(cells * this.SCORE_HARD_DROP);
+  }
+
+  // Add points without affecting lines or combos
+  addPoints(points) {
+    if (points <= 0) {
       return;
     }
 
-    const pointsEarned = this.calculatePoints(count);
-    this.linesCleared += count;
+    this.score += points;
+    if (this.onUpdate) {
+      this.onUpdate();
+    }
+  }
+
+  // Record a locked piece: update combo, back-to-back, lines and score
+  // Returns the clear description, or null if the lock scored nothing
+  addClear(linesCleared, {tSpin = T_SPIN.NONE, perfectClear = false} = {}) {
+    if (linesCleared <= 0) {
+      // Any lock without a line clear breaks the combo
+      this.combo = -1;
+      if (tSpin === T_SPIN.NONE) {
+        return null;
+      }
+    } else {
+      this.combo++;
+    }
+
+    const level = this.getLevel();
+    let pointsEarned = this.calculatePoints(linesCleared, tSpin);
+
+    // Tetrises and T-spins with lines keep back-to-back alive, other line clears break it
+    let backToBack = false;
+    if (linesCleared > 0) {
+      const isDifficult = linesCleared >= 4 || tSpin !== T_SPIN.NONE;
+      backToBack = isDifficult && this.backToBack;
+      if (backToBack) {
+        pointsEarned *= this.BACK_TO_BACK_MULTIPLIER;
+      }
+      this.backToBack = isDifficult;
+    }
+
+    if (this.combo > 0) {
+      pointsEarned += this.SCORE_COMBO * this.combo * level;
+    }
+
+    if (perfectClear && linesCleared > 0) {
+      const perfectClearPoints = backToBack && linesCleared >= 4
+        ? this.SCORE_PERFECT_CLEAR_B2B_TETRIS
+        : this.SCORE_PERFECT_CLEAR[Math.min(linesCleared, this.SCORE_PERFECT_CLEAR.length - 1)];
+      pointsEarned += perfectClearPoints * level;
+    }
+
+    pointsEarned = Math.floor(pointsEarned);
+    this.linesCleared += linesCleared;
     this.score += pointsEarned;
 
+    this.lastClear = {
+      name: this.getClearName(linesCleared, tSpin),
+      linesCleared,
+      tSpin,
+      backToBack,
+      combo: Math.max(this.combo, 0),
+      perfectClear: perfectClear && linesCleared > 0,
+      points: pointsEarned,
+    };
+
     // Trigger UI update callback if set
     if (this.onUpdate) {
       this.onUpdate();
     }
+
+    return this.lastClear;
+  }
+
+  // Get the most recent scoring lock, or null
+  getLastClear() {
+    return this.lastClear;
+  }
+
+  // Get current combo count (0 = first clear in a row, -1 = none)
+  getCombo() {
+    return this.combo;
   }
 
   // Get lines cleared count
@@ -65,15 +198,26 @@ export class Stats {
     return this.score;
   }
 
-  // Get current level (1 + floor(linesCleared/10))
+  // Get current level (1 + floor(linesCleared/10), capped at maxLevel)
   getLevel() {
-    return 1 + Math.floor(this.linesCleared / 10);
+    return Math.min(1 + Math.floor(this.linesCleared / 10), this.maxLevel);
+  }
+
+  // Cap the level, Infinity for no cap
+  setMaxLevel(level) {
+    this.maxLevel = level;
+    if (this.onUpdate) {
+      this.onUpdate();
+    }
   }
 
   // Reset all stats
   reset() {
     this.linesCleared = 0;
     this.score = 0;
+    this.combo = -1;
+    this.backToBack = false;
+    this.lastClear = null;
     if (this.onUpdate) {
       this.onUpdate();
     }
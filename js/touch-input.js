@@ -0,0 +1,131 @@
+import {ACTIONS} from './actions.js';
+
+// Gesture tuning, distances in CSS pixels
+const TAP_MAX_DISTANCE = 10;
+const TAP_MAX_DURATION_MS = 250;
+const HARD_DROP_MIN_VELOCITY = 1.0; // px per ms, fast downward flick
+const SOFT_DROP_MIN_DISTANCE = 30;  // slow downward drag
+
+// Touch gestures over the board, reported as action presses/releases
+// - drag left/right: move one column per cell width travelled
+// - tap: rotate (right half clockwise, left half counter-clockwise)
+// - drag down slowly: soft drop while held
+// - flick down: hard drop
+export class TouchInput {
+  constructor(element, columns) {
+    this.element = element;
+    this.columns = columns;
+
+    // Callbacks
+    this.onPress = null;   // (action)
+    this.onRelease = null; // (action)
+
+    // Gesture state of the active touch
+    this.touchId = null;
+    this.startX = 0;
+    this.startY = 0;
+    this.startTime = 0;
+    this.movedColumns = 0;
+    this.moved = false;
+    this.softDropping = false;
+
+    element.addEventListener('touchstart', (event) => this.handleTouchStart(event), {passive: false});
+    element.addEventListener('touchmove', (event) => this.handleTouchMove(event), {passive: false});
+    element.addEventListener('touchend', (event) => this.handleTouchEnd(event), {passive: false});
+    element.addEventListener('touchcancel', (event) => this.handleTouchEnd(event), {passive: false});
+  }
+
+  // Report a single press and release
+  tap(action) {
+    if (this.onPress) {
+      this.onPress(action);
+    }
+    if (this.onRelease) {
+      this.onRelease(action);
+    }
+  }
+
+  findTouch(touches) {
+    return [...touches].find((touch) => touch.identifier === this.touchId);
+  }
+
+  handleTouchStart(event) {
+    event.preventDefault();
+    if (this.touchId !== null) {
+      return;
+    }
+
+    const [touch] = event.changedTouches;
+    this.touchId = touch.identifier;
+    this.startX = touch.clientX;
+    this.startY = touch.clientY;
+    this.startTime = event.timeStamp;
+    this.movedColumns = 0;
+    this.moved = false;
+    this.softDropping = false;
+  }
+
+  handleTouchMove(event) {
+    event.preventDefault();
+    const touch = this.findTouch(event.changedTouches);
+    if (!touch) {
+      return;
+    }
+
+    const dx = touch.clientX - this.startX;
+    const dy = touch.clientY - this.startY;
+    if (Math.hypot(dx, dy) > TAP_MAX_DISTANCE) {
+      this.moved = true;
+    }
+
+    // Move one column for every cell width dragged
+    const cellWidth = this.element.getBoundingClientRect().width / this.columns;
+    const columns = Math.trunc(dx / cellWidth);
+    while (this.movedColumns !== columns) {
+      const step = Math.sign(columns - this.movedColumns);
+      this.tap(step < 0 ? ACTIONS.MOVE_LEFT : ACTIONS.MOVE_RIGHT);
+      this.movedColumns += step;
+    }
+
+    // Mostly vertical drag downwards holds soft drop
+    const isDraggingDown = dy > SOFT_DROP_MIN_DISTANCE && dy > Math.abs(dx);
+    if (isDraggingDown && !this.softDropping) {
+      this.softDropping = true;
+      if (this.onPress) {
+        this.onPress(ACTIONS.SOFT_DROP);
+      }
+    } else if (!isDraggingDown && this.softDropping) {
+      this.stopSoftDrop();
+    }
+  }
+
+  handleTouchEnd(event) {
+    event.preventDefault();
+    const touch = this.findTouch(event.changedTouches);
+    if (!touch) {
+      return;
+    }
+
+    const dx = touch.clientX - this.startX;
+    const dy = touch.clientY - this.startY;
+    const duration = event.timeStamp - this.startTime;
+
+    if (!this.moved && duration <= TAP_MAX_DURATION_MS && event.type === 'touchend') {
+      const {left, width} = this.element.getBoundingClientRect();
+      const isRightHalf = touch.clientX - left >= width / 2;
+      this.tap(isRightHalf ? ACTIONS.ROTATE_CW : ACTIONS.ROTATE_CCW);
+    } else if (dy > Math.abs(dx) && dy / Math.max(duration, 1) >= HARD_DROP_MIN_VELOCITY) {
+      this.tap(ACTIONS.HARD_DROP);
+    }
+
+    this.stopSoftDrop();
+    this.touchId = null;
+  }
+
+  stopSoftDrop() {
+    if (this.softDropping && this.onRelease) {
+      this.onRelease(ACTIONS.SOFT_DROP);
+    }
+    this.softDropping = false;
+  }
+}
@@ -0,0 +1,258 @@
+import {MESSAGE_PRIORITY, WebSocketClient} from './websocket.js';
+import {RemoteBoard} from './remote-board.js';
+import {GAME_END_REASON, GameMode} from './game-modes.js';
+
+// Messages exchanged with the versus server (server/versus-server.mjs)
+export const VERSUS_MESSAGE = {
+  JOIN: 'join',                      // client: {name}
+  JOINED: 'joined',                  // server: {opponent} name of the player already waiting, or null
+  OPPONENT_JOINED: 'opponentJoined', // server: {name}
+  READY: 'ready',                    // client: ready to start the next round
+  START: 'start',                    // server: {seed} shared by both players once both are ready
+  BOARD: 'board',                    // relayed: {cells, score, linesCleared, pendingGarbage}, sent after every piece
+  GARBAGE: 'garbage',                // relayed: {lines} sent to the opponent
+  GAME_OVER: 'gameOver',             // relayed: the sender topped out
+  OPPONENT_LEFT: 'opponentLeft',     // server: the opponent disconnected
+};
+
+// Match state, see VersusMatch
+export const VERSUS_STATE = {
+  CONNECTING: 'connecting',
+  WAITING: 'waiting',           // Waiting for an opponent to join
+  MATCHED: 'matched',           // Opponent found, waiting for the player to be ready
+  READY: 'ready',               // Waiting for the opponent to be ready
+  PLAYING: 'playing',
+  FINISHED: 'finished',         // Round over, ready starts a rematch
+  DISCONNECTED: 'disconnected',
+};
+
+// 1v1 battle, the last player standing wins
+// Not ranked, and not created by id since a round needs a VersusMatch.
+export class VersusMode extends GameMode {
+  constructor() {
+    super('versus', 'Versus');
+  }
+
+  getResults(event) {
+    return {
+      ...super.getResults(event),
+      completed: event.reason === GAME_END_REASON.OPPONENT_TOPPED_OUT,
+    };
+  }
+
+  getEndTitle(results) {
+    return results.completed ? 'You Win!' : 'You Lose';
+  }
+
+  isRanked(results) {
+    return false;
+  }
+}
+
+// A versus match against one opponent through the versus server
+// Both players play the same piece sequence, line clears send garbage to the opponent
+// and the first player to top out loses the round.
+export class VersusMatch {
+  constructor(grid, url) {
+    this.grid = grid;
+    this.url = url;
+    this.client = null;
+    this.state = VERSUS_STATE.DISCONNECTED;
+    this.name = '';
+    this.opponentName = null;
+    this.opponentStats = null; // {score, linesCleared, pendingGarbage} from the last snapshot
+    this.opponentBoard = new RemoteBoard(grid.getWidth(), grid.getVisibleHeight());
+
+    this.onStateChange = null;
+    this.onStart = null;
+    this.onOpponentUpdate = null;
+
+    // Local game events are only sent while a round is being played
+    // Attacks are what is left of a clear after cancelling incoming garbage (see Grid.sendAttack).
+    this.grid.on('attack', ({lines}) => {
+      if (this.isPlaying() && lines > 0) {
+        this.send(VERSUS_MESSAGE.GARBAGE, {lines}, MESSAGE_PRIORITY.HIGH);
+      }
+    });
+    this.grid.on('spawn', () => {
+      if (this.isPlaying()) {
+        this.sendBoard();
+      }
+    });
+    this.grid.on('gameOver', ({reason}) => {
+      if (!this.isPlaying()) {
+        return;
+      }
+      if (reason !== GAME_END_REASON.OPPONENT_TOPPED_OUT) {
+        this.sendBoard();
+        this.send(VERSUS_MESSAGE.GAME_OVER, {}, MESSAGE_PRIORITY.HIGH);
+      }
+      this.setState(VERSUS_STATE.FINISHED);
+    });
+  }
+
+  // Set callback for state changes: (state)
+  setStateCallback(callback) {
+    this.onStateChange = callback;
+  }
+
+  // Set callback to start a round: (seed), the grid must be reset with the seed
+  setStartCallback(callback) {
+    this.onStart = callback;
+  }
+
+  // Set callback for opponent board and stats updates
+  setOpponentUpdateCallback(callback) {
+    this.onOpponentUpdate = callback;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isPlaying() {
+    return this.state === VERSUS_STATE.PLAYING;
+  }
+
+  getOpponentName() {
+    return this.opponentName;
+  }
+
+  getOpponentStats() {
+    return this.opponentStats;
+  }
+
+  getOpponentBoard() {
+    return this.opponentBoard;
+  }
+
+  setState(state) {
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+
+  // Connect to the server and wait for an opponent
+  connect(name = '') {
+    this.name = name;
+    this.setState(VERSUS_STATE.CONNECTING);
+    this.client = new WebSocketClient(this.url);
+
+    this.client.on('open', () => {
+      this.send(VERSUS_MESSAGE.JOIN, {name: this.name});
+    });
+    this.client.on('close', () => {
+      // Closed by leave()
+      if (!this.client) {
+        return;
+      }
+      // Losing the connection forfeits the round. The server pairs the next connection with
+      // a new opponent, so nothing of this session is sent or resent, the game over included.
+      const wasPlaying = this.isPlaying();
+      this.setState(VERSUS_STATE.CONNECTING);
+      this.client.clearQueue();
+      if (wasPlaying) {
+        this.grid.endGame();
+      }
+    });
+    this.client.on('maxReconnectAttemptsReached', () => {
+      this.setState(VERSUS_STATE.DISCONNECTED);
+    });
+
+    this.client.on(VERSUS_MESSAGE.JOINED, ({opponent}) => {
+      this.opponentName = opponent;
+      this.setState(opponent === null ? VERSUS_STATE.WAITING : VERSUS_STATE.MATCHED);
+    });
+    this.client.on(VERSUS_MESSAGE.OPPONENT_JOINED, ({name: opponentName}) => {
+      this.opponentName = opponentName;
+      this.setState(VERSUS_STATE.MATCHED);
+    });
+    this.client.on(VERSUS_MESSAGE.START, ({seed}) => this.startRound(seed));
+    this.client.on(VERSUS_MESSAGE.BOARD, ({cells, score, linesCleared, pendingGarbage}) => {
+      this.opponentBoard.setSnapshot(cells);
+      this.opponentStats = {score, linesCleared, pendingGarbage};
+      this.opponentUpdated();
+    });
+    this.client.on(VERSUS_MESSAGE.GARBAGE, ({lines}) => {
+      if (this.isPlaying()) {
+        this.grid.receiveGarbage(lines);
+      }
+    });
+    this.client.on(VERSUS_MESSAGE.GAME_OVER, () => {
+      if (this.isPlaying()) {
+        this.grid.endGame(GAME_END_REASON.OPPONENT_TOPPED_OUT);
+      }
+    });
+    this.client.on(VERSUS_MESSAGE.OPPONENT_LEFT, () => {
+      // Leaving mid-round forfeits it
+      if (this.isPlaying()) {
+        this.grid.endGame(GAME_END_REASON.OPPONENT_TOPPED_OUT);
+      }
+      this.opponentName = null;
+      this.opponentStats = null;
+      this.opponentBoard.clear();
+      this.opponentUpdated();
+      this.setState(VERSUS_STATE.WAITING);
+    });
+  }
+
+  // Ready for the next round, it starts once the opponent is ready too
+  ready() {
+    if (this.state !== VERSUS_STATE.MATCHED && this.state !== VERSUS_STATE.FINISHED) {
+      return;
+    }
+    this.send(VERSUS_MESSAGE.READY);
+    this.setState(VERSUS_STATE.READY);
+  }
+
+  // Connect again after the client gave up reconnecting
+  reconnect() {
+    if (this.client && this.state === VERSUS_STATE.DISCONNECTED) {
+      this.setState(VERSUS_STATE.CONNECTING);
+      this.client.reconnect();
+    }
+  }
+
+  // Leave the match and disconnect
+  leave() {
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+    }
+    this.setState(VERSUS_STATE.DISCONNECTED);
+  }
+
+  startRound(seed) {
+    this.opponentBoard.clear();
+    this.opponentStats = null;
+    this.opponentUpdated();
+    this.setState(VERSUS_STATE.PLAYING);
+    if (this.onStart) {
+      this.onStart(seed);
+    }
+    this.sendBoard();
+  }
+
+  // Boards are resent on every spawn, they are the first messages dropped from a full queue
+  sendBoard() {
+    this.send(VERSUS_MESSAGE.BOARD, {
+      cells: this.grid.getBoardSnapshot(),
+      score: this.grid.getScore(),
+      linesCleared: this.grid.getLinesCleared(),
+      pendingGarbage: this.grid.getPendingGarbage(),
+    }, MESSAGE_PRIORITY.LOW);
+  }
+
+  send(type, payload = {}, priority = MESSAGE_PRIORITY.NORMAL) {
+    if (this.client) {
+      this.client.send({type, ...payload}, {priority});
+    }
+  }
+
+  opponentUpdated() {
+    if (this.onOpponentUpdate) {
+      this.onOpponentUpdate();
+    }
+  }
+}
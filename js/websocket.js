@@ -1,48 +1,187 @@
-class WebSocketClient {
+// WebSocket connection that reconnects with backoff and queues messages while disconnected
+// JSON messages with a type are also dispatched to handlers of that type, see on().
+// request() sends a message the server answers, see server/protocol.mjs for the server side.
+
+// Connection state, see getState() and the 'stateChange' event
+export const CONNECTION_STATE = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting', // Waiting to retry after the connection was lost
+  DISCONNECTED: 'disconnected', // Gave up reconnecting, see reconnect()
+  CLOSED: 'closed',             // Closed by close()
+};
+
+// Priority of queued messages, higher priorities are sent first and dropped last
+export const MESSAGE_PRIORITY = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+};
+
+// Message dropped when the queue is full, among the lowest priority messages
+export const QUEUE_DROP_POLICY = {
+  OLDEST: 'oldest',
+  NEWEST: 'newest',
+};
+
+// Protocol messages handled by the client itself and not passed to handlers
+const PING = 'ping';         // client: {time} heartbeat, answered with a pong carrying the same time
+const PONG = 'pong';
+const ACK = 'ack';           // server: {id} a message with an id was received
+const RESPONSE = 'response'; // server: {id, result} or {id, error: {code, message}} answer to request()
+
+// Codes of the RequestErrors raised by the client, servers answer with their own codes
+export const REQUEST_ERROR = {
+  TIMEOUT: 'timeout', // No response in time
+  DROPPED: 'dropped', // Dropped from a full queue while disconnected
+  CLOSED: 'closed',   // close() was called before the response
+};
+
+// Rejection reason of request()
+export class RequestError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+  }
+}
+
+// Close code used when the heartbeat finds the connection dead
+const HEARTBEAT_CLOSE_CODE = 4000;
+
+export class WebSocketClient {
   constructor(url, options = {}) {
     this.url = url;
     this.options = {
+      autoConnect: true,
       reconnectInterval: 1000,
+      maxReconnectInterval: 30000,
+      reconnectJitter: 0.5,      // Random part of each backoff delay, 0.5 is +-50%
       maxReconnectAttempts: 5,
-      heartbeatInterval: 30000,
+      heartbeatInterval: 30000,  // 0 disables heartbeats
+      heartbeatTimeout: 10000,   // Time to wait for any message after a ping
+      maxQueueSize: 100,
+      queueDropPolicy: QUEUE_DROP_POLICY.OLDEST,
+      requestTimeout: 10000,     // Default timeout of request(), 0 waits forever
+      debug: false,              // Log connection events and messages
       ...options,
     };
+    this.ws = null;
+    this.state = CONNECTION_STATE.CLOSED;
     this.reconnectAttempts = 0;
+    this.reconnectTimeout = null;
+    this.heartbeatIntervalId = null;
+    this.heartbeatTimeoutId = null;
+    this.latencyMs = null;
+
+    // Messages sent while disconnected, [{message, priority}] highest priority first
     this.messageQueue = [];
     this.eventHandlers = {};
 
-    this.connect();
+    // Message ids start with an id of this client, servers recognize retransmits by id across reconnects
+    this.clientId = Math.random().toString(36).slice(2, 10);
+    this.messageCount = 0;
+    // Messages with an id sent but not acknowledged yet, resent after a reconnect: id -> {message, priority}
+    this.unacknowledged = new Map();
+    // Requests waiting for their response: id -> {resolve, reject, timeoutId}
+    this.requests = new Map();
+
+    if (this.options.autoConnect) {
+      this.connect();
+    }
+  }
+
+  // Get the connection state (see CONNECTION_STATE)
+  getState() {
+    return this.state;
+  }
+
+  isOpen() {
+    return this.state === CONNECTION_STATE.OPEN;
+  }
+
+  // Round trip time of the last heartbeat, null before the first one
+  getLatency() {
+    return this.latencyMs;
+  }
+
+  getQueueSize() {
+    return this.messageQueue.length;
+  }
+
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    this.state = state;
+    this.trigger('stateChange', state);
+  }
+
+  log(...args) {
+    if (this.options.debug) {
+      console.log(...args);
+    }
   }
 
   connect() {
-    console.log(`Connecting to ${this.url}...`);
+    if (this.state === CONNECTION_STATE.OPEN || this.state === CONNECTION_STATE.CONNECTING) {
+      return;
+    }
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = null;
+    this.setState(CONNECTION_STATE.CONNECTING);
+    this.log(`Connecting to ${this.url}...`);
 
     try {
       this.ws = new WebSocket(this.url);
-      this.setupEventHandlers();
+      this.setupEventHandlers(this.ws);
     } catch (error) {
       console.error('Failed to create WebSocket:', error);
+      this.ws = null;
       this.scheduleReconnect();
     }
   }
 
-  setupEventHandlers() {
-    this.ws.onopen = (event) => {
-      console.log('WebSocket connected');
-      this.reconnectAttempts = 0;
+  // Connect again right away, also after giving up or close()
+  reconnect() {
+    if (this.state === CONNECTION_STATE.OPEN) {
+      return;
+    }
+    // Stop waiting on a connection attempt that may never finish
+    this.detachSocket();
+    this.reconnectAttempts = 0;
+    this.setState(CONNECTION_STATE.RECONNECTING);
+    this.connect();
+  }
 
-      // Send any queued messages
-      while (this.messageQueue.length > 0) {
-        const message = this.messageQueue.shift();
-        this.send(message);
+  // Events of a socket already replaced by a newer connection are ignored
+  setupEventHandlers(ws) {
+    ws.onopen = (event) => {
+      if (ws !== this.ws) {
+        return;
       }
+      this.log('WebSocket connected');
+      this.reconnectAttempts = 0;
+      this.setState(CONNECTION_STATE.OPEN);
+      this.startHeartbeat();
 
-      // Trigger custom open handlers
+      // Trigger custom open handlers, they restore the session (join, host) the queued messages rely on
       this.trigger('open', event);
+
+      // Resend what the server may have missed, then the queued messages highest priority first
+      const unacknowledged = [...this.unacknowledged.values()];
+      const queued = this.messageQueue;
+      this.messageQueue = [];
+      [...unacknowledged, ...queued].forEach(({message, priority}) => this.send(message, {priority}));
     };
 
-    this.ws.onmessage = (event) => {
-      console.log('Message received:', event.data);
+    ws.onmessage = (event) => {
+      if (ws !== this.ws) {
+        return;
+      }
+      this.log('Message received:', event.data);
+      // Any message shows the connection is alive
+      this.clearHeartbeatTimeout();
 
       // Try to parse JSON messages
       let data = event.data;
@@ -52,66 +191,237 @@ class WebSocketClient {
         // Not JSON, use as-is
       }
 
+      if (data && data.type === PONG) {
+        if (typeof data.time === 'number') {
+          this.latencyMs = Date.now() - data.time;
+        }
+        return;
+      }
+      if (data && data.type === ACK) {
+        this.unacknowledged.delete(data.id);
+        return;
+      }
+      if (data && data.type === RESPONSE) {
+        const error = data.error ? new RequestError(data.error.code, data.error.message) : null;
+        this.settleRequest(data.id, error, data.result);
+        return;
+      }
+
       // Trigger custom message handlers
       this.trigger('message', data);
 
       // Trigger typed message handlers
-      if (data.type) {
+      if (data && data.type) {
         this.trigger(data.type, data);
       }
     };
 
-    this.ws.onerror = (error) => {
+    ws.onerror = (error) => {
+      // close() during the handshake aborts it with an error
+      if (ws !== this.ws || this.state === CONNECTION_STATE.CLOSED) {
+        return;
+      }
       console.error('WebSocket error:', error);
       this.trigger('error', error);
+      // A connection that failed to open may never report its close
+      if (this.state === CONNECTION_STATE.CONNECTING) {
+        this.dropConnection(1006, 'Connection failed');
+      }
     };
 
-    this.ws.onclose = (event) => {
-      console.log(`WebSocket closed: ${event.code} - ${event.reason}`);
-
-      // Trigger custom close handlers
-      this.trigger('close', event);
-
-      // Attempt to reconnect if not a normal closure
-      if (event.code !== 1000 && event.code !== 1001) {
-        this.scheduleReconnect();
+    ws.onclose = (event) => {
+      if (ws !== this.ws) {
+        return;
       }
+      this.handleClose(event);
     };
   }
 
-  send(message) {
+  handleClose(event) {
+    this.log(`WebSocket closed: ${event.code} - ${event.reason}`);
+    this.ws = null;
+    this.stopHeartbeat();
+    const closedByClient = this.state === CONNECTION_STATE.CLOSED;
+
+    // Trigger custom close handlers
+    this.trigger('close', event);
+
+    // Reconnect unless close() was called
+    if (!closedByClient) {
+      this.scheduleReconnect();
+    }
+  }
+
+  // Give up on the current socket without waiting for its close handshake
+  dropConnection(code = HEARTBEAT_CLOSE_CODE, reason = 'Connection lost') {
+    if (this.ws) {
+      this.detachSocket();
+      this.handleClose({code, reason});
+    }
+  }
+
+  // Close the current socket and ignore its remaining events
+  detachSocket() {
+    const {ws} = this;
+    if (ws) {
+      this.ws = null;
+      ws.close();
+    }
+  }
+
+  // Send a message, or queue it until connected
+  // Queued JSON messages get an id and are resent after reconnects until the server acknowledges them.
+  // Returns false if the message was dropped (closed client or full queue).
+  send(message, {priority = MESSAGE_PRIORITY.NORMAL} = {}) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       const data =
         typeof message === 'object' ? JSON.stringify(message) : message;
       this.ws.send(data);
+      if (typeof message === 'object' && message.id !== undefined) {
+        this.unacknowledged.set(message.id, {message, priority});
+      }
+      return true;
+    }
+    if (this.state === CONNECTION_STATE.CLOSED) {
+      return false;
+    }
+    this.log('WebSocket not connected, queuing message');
+    if (typeof message === 'object' && message.id === undefined) {
+      message = {...message, id: this.createMessageId()};
+    }
+    return this.enqueue(message, priority);
+  }
+
+  // Send a message the server answers, resolves with the result of the response
+  // Rejects with a RequestError: the server's error, or one of REQUEST_ERROR.
+  request(type, payload = {}, {timeout = this.options.requestTimeout, priority = MESSAGE_PRIORITY.NORMAL} = {}) {
+    if (this.state === CONNECTION_STATE.CLOSED) {
+      return Promise.reject(new RequestError(REQUEST_ERROR.CLOSED, `${type} request on a closed connection`));
+    }
+
+    const id = this.createMessageId();
+    return new Promise((resolve, reject) => {
+      const timeoutId = timeout > 0
+        ? setTimeout(() => {
+          this.settleRequest(id, new RequestError(REQUEST_ERROR.TIMEOUT, `${type} request timed out`));
+        }, timeout)
+        : null;
+      this.requests.set(id, {resolve, reject, timeoutId});
+      this.send({...payload, type, id}, {priority});
+    });
+  }
+
+  createMessageId() {
+    this.messageCount++;
+    return `${this.clientId}-${this.messageCount}`;
+  }
+
+  // Resolve or reject a request, it is no longer sent or resent
+  settleRequest(id, error, result) {
+    const request = this.requests.get(id);
+    if (!request) {
+      return;
+    }
+    this.requests.delete(id);
+    this.unacknowledged.delete(id);
+    this.messageQueue = this.messageQueue.filter(({message}) => message.id !== id);
+    clearTimeout(request.timeoutId);
+    if (error) {
+      request.reject(error);
     } else {
-      // Queue message if not connected
-      console.log('WebSocket not connected, queuing message');
-      this.messageQueue.push(message);
+      request.resolve(result);
     }
   }
 
+  enqueue(message, priority) {
+    const entry = {message, priority};
+    // After the messages of the same or higher priority
+    const index = this.messageQueue.findIndex((queued) => queued.priority < priority);
+    this.messageQueue.splice(index === -1 ? this.messageQueue.length : index, 0, entry);
 
+    if (this.messageQueue.length <= this.options.maxQueueSize) {
+      return true;
+    }
+
+    // Over capacity: drop one of the lowest priority messages, the incoming one included
+    const lowest = this.messageQueue[this.messageQueue.length - 1].priority;
+    const dropIndex = this.options.queueDropPolicy === QUEUE_DROP_POLICY.NEWEST
+      ? this.messageQueue.length - 1
+      : this.messageQueue.findIndex((queued) => queued.priority === lowest);
+    const [dropped] = this.messageQueue.splice(dropIndex, 1);
+    this.trigger('drop', dropped.message);
+    this.settleRequest(dropped.message.id, new RequestError(REQUEST_ERROR.DROPPED, 'Request dropped from a full queue'));
+    return dropped !== entry;
+  }
+
+  // Discard the queued messages and stop resending the unacknowledged ones, their requests are rejected
+  // Used when the messages belong to a session the next connection doesn't continue.
+  clearQueue() {
+    const discarded = [...this.messageQueue, ...this.unacknowledged.values()];
+    this.messageQueue = [];
+    this.unacknowledged.clear();
+    discarded.forEach(({message}) => {
+      this.settleRequest(message.id, new RequestError(REQUEST_ERROR.DROPPED, 'Request dropped from the queue'));
+    });
+  }
+
+  // Exponential backoff with jitter, so clients dropped together don't retry together
+  getReconnectDelay() {
+    const {reconnectInterval, maxReconnectInterval, reconnectJitter} = this.options;
+    const delay = Math.min(reconnectInterval * Math.pow(2, this.reconnectAttempts - 1), maxReconnectInterval);
+    return Math.round(delay * (1 + (Math.random() * 2 - 1) * reconnectJitter));
+  }
 
   scheduleReconnect() {
     if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
       console.error('Max reconnection attempts reached');
+      this.setState(CONNECTION_STATE.DISCONNECTED);
       this.trigger('maxReconnectAttemptsReached');
       return;
     }
 
     this.reconnectAttempts++;
-    const delay =
-      this.options.reconnectInterval * Math.pow(2, this.reconnectAttempts - 1);
-    console.log(
-      `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})...`
-    );
+    const delay = this.getReconnectDelay();
+    this.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})...`);
+    this.setState(CONNECTION_STATE.RECONNECTING);
 
-    setTimeout(() => {
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
       this.connect();
     }, delay);
   }
 
+  // Ping regularly, a connection that stays silent after a ping is dropped and reconnected
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (!this.options.heartbeatInterval) {
+      return;
+    }
+    this.heartbeatIntervalId = setInterval(() => {
+      if (!this.isOpen() || this.heartbeatTimeoutId !== null) {
+        return;
+      }
+      this.send({type: PING, time: Date.now()});
+      this.heartbeatTimeoutId = setTimeout(() => {
+        this.heartbeatTimeoutId = null;
+        console.error('WebSocket heartbeat timed out');
+        this.dropConnection(HEARTBEAT_CLOSE_CODE, 'Heartbeat timeout');
+      }, this.options.heartbeatTimeout);
+    }, this.options.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatIntervalId);
+    this.heartbeatIntervalId = null;
+    this.clearHeartbeatTimeout();
+  }
+
+  clearHeartbeatTimeout() {
+    clearTimeout(this.heartbeatTimeoutId);
+    this.heartbeatTimeoutId = null;
+  }
+
   on(event, handler) {
     if (!this.eventHandlers[event]) {
       this.eventHandlers[event] = [];
@@ -139,31 +449,20 @@ class WebSocketClient {
     }
   }
 
+  // Close for good, queued messages are discarded and pending requests rejected
+  // reconnect() opens the connection again.
   close() {
-    this.reconnectAttempts = this.options.maxReconnectAttempts;
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = null;
+    this.stopHeartbeat();
+    this.messageQueue = [];
+    this.unacknowledged.clear();
+    [...this.requests.keys()].forEach((id) => {
+      this.settleRequest(id, new RequestError(REQUEST_ERROR.CLOSED, 'Connection closed'));
+    });
+    this.setState(CONNECTION_STATE.CLOSED);
     if (this.ws) {
       this.ws.close(1000, 'Client closing connection');
     }
   }
 }
-
-// Usage example
-const client = new WebSocketClient('http://localhost:8090/');
-
-client.on('open', () => {
-  console.log('Connected and ready!');
-  client.send({ type: 'hello', user: 'JavaScript Client' });
-});
-
-client.on('message', (data) => {
-  console.log('Received:', data);
-  client.send("test")
-});
-
-client.on('error', (error) => {
-  console.error('Connection error:', error);
-});
-
-client.on('close', (event) => {
-  console.log('Connection closed:', event.code, event.reason);
-});
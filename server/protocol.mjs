@@ -0,0 +1,109 @@
+// Message handling shared by the local servers, the server side of js/websocket.js:
+// heartbeats, acknowledgements, request/response and deduplication of retransmits.
+
+// Protocol messages, see js/websocket.js
+const MESSAGE = {
+  PING: 'ping',
+  PONG: 'pong',
+  ACK: 'ack',
+  RESPONSE: 'response',
+};
+
+// Code sent for errors thrown by request handlers without a code
+const SERVER_ERROR = 'serverError';
+
+// Replies remembered for retransmits, past this the oldest are forgotten
+const MAX_REMEMBERED_REPLIES = 1000;
+
+export function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+}
+
+// Create the message handling of a server
+// Clients keep their message ids across reconnects, so replies are remembered for the whole server.
+export function createProtocol() {
+  // Reply text by message id
+  const replies = new Map();
+  // Socket to answer by id of the requests being handled, the latest one a retransmit came from
+  const handling = new Map();
+
+  function remember(id, reply) {
+    replies.delete(id);
+    replies.set(id, reply);
+    if (replies.size > MAX_REMEMBERED_REPLIES) {
+      replies.delete(replies.keys().next().value);
+    }
+  }
+
+  function reply(socket, id, message) {
+    const text = JSON.stringify({id, ...message});
+    remember(id, text);
+    send(socket, text);
+  }
+
+  async function answer(socket, handler, message) {
+    const {id} = message;
+    handling.set(id, socket);
+    let response;
+    try {
+      response = {type: MESSAGE.RESPONSE, result: await handler(message)};
+    } catch (error) {
+      const code = error.code || SERVER_ERROR;
+      if (code === SERVER_ERROR) {
+        console.error(`Error in ${message.type} request:`, error);
+      }
+      response = {type: MESSAGE.RESPONSE, error: {code, message: error.message}};
+    }
+    reply(handling.get(id), id, response);
+    handling.delete(id);
+  }
+
+  // Handle the messages of a connection: pings are answered, messages with an id acknowledged,
+  // requests answered by requests[type](message), and everything else passed to onMessage(message, text).
+  // A handler rejects a request by throwing an error with a code, the client's request fails with that code.
+  // A retransmitted id gets the remembered reply again without being handled twice.
+  function handle(socket, {onMessage, requests = {}}) {
+    socket.on('message', (data) => {
+      const text = String(data);
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return;
+      }
+      if (!message || typeof message.type !== 'string') {
+        return;
+      }
+
+      if (message.type === MESSAGE.PING) {
+        send(socket, {type: MESSAGE.PONG, time: message.time});
+        return;
+      }
+
+      const {id} = message;
+      if (id === undefined) {
+        onMessage(message, text);
+        return;
+      }
+      if (handling.has(id)) {
+        handling.set(id, socket);
+        return;
+      }
+      if (replies.has(id)) {
+        send(socket, replies.get(id));
+        return;
+      }
+
+      if (Object.hasOwn(requests, message.type)) {
+        answer(socket, requests[message.type], message);
+      } else {
+        onMessage(message, text);
+        reply(socket, id, {type: MESSAGE.ACK});
+      }
+    });
+  }
+
+  return {handle};
+}
@@ -0,0 +1,156 @@
+// Local spectator relay for development and tests: hosts broadcast their game,
+// any number of viewers watch it. Run with `npm run spectator-server` (PORT defaults to 8091).
+// The relay keeps the latest snapshot of every game and the deltas since,
+// so viewers joining late or resyncing are caught up without asking the host.
+import {pathToFileURL} from 'node:url';
+import {WebSocketServer} from 'ws';
+import {createProtocol, send} from './protocol.mjs';
+
+// Message types, see SPECTATOR_MESSAGE in js/spectator.js
+const MESSAGE = {
+  HOST: 'host',
+  HOSTED: 'hosted',
+  SNAPSHOT: 'snapshot',
+  DELTA: 'delta',
+  LIST: 'list',
+  WATCH: 'watch',
+  RESYNC: 'resync',
+  GAME_ENDED: 'gameEnded',
+};
+
+const DEFAULT_PORT = 8091;
+
+// A game stays listed this long after its host disconnected, so the host can resume it
+export const HOST_RECONNECT_GRACE_MS = 10000;
+
+// Deltas kept after a snapshot, past this the host is asked for a new snapshot
+export const MAX_CACHED_DELTAS = 300;
+
+// Start a spectator relay, returns the underlying WebSocketServer
+export function createSpectatorServer({port = DEFAULT_PORT} = {}) {
+  const server = new WebSocketServer({port});
+  const protocol = createProtocol();
+
+  // Live games by id: {gameId, name, host, viewers: Set, snapshot, deltas, endTimeout}
+  // snapshot and deltas are kept as the JSON text they arrived in.
+  const games = new Map();
+  let nextGameId = 1;
+
+  function listGames() {
+    return [...games.values()].map(({gameId, name}) => ({gameId, name}));
+  }
+
+  // Start or resume a game for a host, a host reconnecting keeps its game id
+  function host(socket, {gameId, name}) {
+    let game = games.get(gameId);
+    if (!game || game.host) {
+      gameId = nextGameId++;
+      game = {gameId, viewers: new Set(), snapshot: null, deltas: [], endTimeout: null};
+      games.set(gameId, game);
+    }
+    clearTimeout(game.endTimeout);
+    game.name = String(name || '').slice(0, 16);
+    game.host = socket;
+    send(socket, {type: MESSAGE.HOSTED, gameId});
+    return game;
+  }
+
+  // Send the latest snapshot and the deltas since to a viewer
+  function catchUp(socket, game) {
+    if (!game.snapshot) {
+      // Nothing to send yet, the host's first snapshot goes to every viewer
+      if (game.host) {
+        send(game.host, {type: MESSAGE.RESYNC});
+      }
+      return;
+    }
+    send(socket, game.snapshot);
+    game.deltas.forEach((delta) => send(socket, delta));
+  }
+
+  function endGame(game) {
+    games.delete(game.gameId);
+    game.viewers.forEach((viewer) => send(viewer, {type: MESSAGE.GAME_ENDED, gameId: game.gameId}));
+  }
+
+  server.on('connection', (socket) => {
+    // Game hosted by this socket, and the game it watches
+    let hostedGame = null;
+    let watchedGame = null;
+
+    function onMessage(message, text) {
+      switch (message.type) {
+        case MESSAGE.HOST:
+          if (!hostedGame) {
+            hostedGame = host(socket, message);
+          }
+          break;
+        case MESSAGE.SNAPSHOT:
+          if (hostedGame) {
+            hostedGame.snapshot = text;
+            hostedGame.deltas = [];
+            hostedGame.viewers.forEach((viewer) => send(viewer, text));
+          }
+          break;
+        case MESSAGE.DELTA:
+          if (hostedGame) {
+            hostedGame.deltas.push(text);
+            if (hostedGame.deltas.length === MAX_CACHED_DELTAS) {
+              send(socket, {type: MESSAGE.RESYNC});
+            }
+            hostedGame.viewers.forEach((viewer) => send(viewer, text));
+          }
+          break;
+        case MESSAGE.WATCH:
+        case MESSAGE.RESYNC: {
+          const game = games.get(message.gameId);
+          if (!game) {
+            send(socket, {type: MESSAGE.GAME_ENDED, gameId: message.gameId});
+            break;
+          }
+          if (watchedGame && watchedGame !== game) {
+            watchedGame.viewers.delete(socket);
+          }
+          watchedGame = game;
+          game.viewers.add(socket);
+          catchUp(socket, game);
+          break;
+        }
+      }
+    }
+
+    protocol.handle(socket, {
+      requests: {
+        [MESSAGE.LIST]: () => ({games: listGames()}),
+      },
+      onMessage,
+    });
+
+    socket.on('close', (code) => {
+      if (watchedGame) {
+        watchedGame.viewers.delete(socket);
+      }
+      if (!hostedGame) {
+        return;
+      }
+
+      // A host that stopped broadcasting closes normally, a dropped host may come back
+      const game = hostedGame;
+      game.host = null;
+      if (code === 1000) {
+        endGame(game);
+      } else {
+        game.endTimeout = setTimeout(() => endGame(game), HOST_RECONNECT_GRACE_MS);
+      }
+    });
+  });
+
+  return server;
+}
+
+// Started directly: node server/spectator-server.mjs
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createSpectatorServer({port});
+  console.log(`Spectator relay listening on ws://localhost:${port}/`);
+}
@@ -0,0 +1,134 @@
+// Local versus server for development and tests: pairs players into rooms of two
+// and relays their game messages. Run with `npm run server` (PORT defaults to 8090).
+import {pathToFileURL} from 'node:url';
+import {WebSocketServer} from 'ws';
+import {createProtocol} from './protocol.mjs';
+
+// Message types, see VERSUS_MESSAGE in js/versus.js
+const MESSAGE = {
+  JOIN: 'join',
+  JOINED: 'joined',
+  OPPONENT_JOINED: 'opponentJoined',
+  READY: 'ready',
+  START: 'start',
+  BOARD: 'board',
+  GARBAGE: 'garbage',
+  GAME_OVER: 'gameOver',
+  OPPONENT_LEFT: 'opponentLeft',
+};
+
+// Game messages passed on to the opponent unchanged
+const RELAYED_MESSAGES = new Set([MESSAGE.BOARD, MESSAGE.GARBAGE, MESSAGE.GAME_OVER]);
+
+const DEFAULT_PORT = 8090;
+
+function send(socket, type, payload = {}) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({type, ...payload}));
+  }
+}
+
+// Same 32-bit seeds as SeededRandom.generateSeed()
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Start a versus server, returns the underlying WebSocketServer
+export function createVersusServer({port = DEFAULT_PORT} = {}) {
+  const server = new WebSocketServer({port});
+  const protocol = createProtocol();
+
+  // Room waiting for a second player, rooms are {players: [{socket, name}], ready: Set}
+  let waitingRoom = null;
+
+  function getOpponent(room, player) {
+    return room.players.find((p) => p !== player) || null;
+  }
+
+  function join(player, name) {
+    player.name = String(name || '').slice(0, 16);
+
+    const room = waitingRoom || {players: [], ready: new Set()};
+    const opponent = room.players[0] || null;
+    room.players.push(player);
+    player.room = room;
+    waitingRoom = room.players.length < 2 ? room : null;
+
+    send(player.socket, MESSAGE.JOINED, {opponent: opponent && opponent.name});
+    if (opponent) {
+      send(opponent.socket, MESSAGE.OPPONENT_JOINED, {name: player.name});
+    }
+  }
+
+  // Both players ready: start the round with a shared seed
+  function ready(player) {
+    const {room} = player;
+    room.ready.add(player);
+    if (room.players.length === 2 && room.ready.size === 2) {
+      room.ready.clear();
+      const seed = generateSeed();
+      room.players.forEach((p) => send(p.socket, MESSAGE.START, {seed}));
+    }
+  }
+
+  function leave(player) {
+    const {room} = player;
+    if (!room) {
+      return;
+    }
+
+    room.players = room.players.filter((p) => p !== player);
+    room.ready.clear();
+    player.room = null;
+    if (room.players.length === 0) {
+      if (waitingRoom === room) {
+        waitingRoom = null;
+      }
+      return;
+    }
+
+    // The remaining player is paired with the next waiting player, or waits in this room
+    const [remaining] = room.players;
+    send(remaining.socket, MESSAGE.OPPONENT_LEFT);
+    if (waitingRoom) {
+      room.players = [];
+      join(remaining, remaining.name);
+    } else {
+      waitingRoom = room;
+    }
+  }
+
+  server.on('connection', (socket) => {
+    const player = {socket, name: '', room: null};
+
+    protocol.handle(socket, {
+      onMessage(message) {
+        if (message.type === MESSAGE.JOIN) {
+          if (!player.room) {
+            join(player, message.name);
+          }
+        } else if (!player.room) {
+          // Nothing else makes sense before joining
+        } else if (message.type === MESSAGE.READY) {
+          ready(player);
+        } else if (RELAYED_MESSAGES.has(message.type)) {
+          const opponent = getOpponent(player.room, player);
+          if (opponent) {
+            send(opponent.socket, message.type, message);
+          }
+        }
+      },
+    });
+
+    socket.on('close', () => leave(player));
+  });
+
+  return server;
+}
+
+// Started directly: node server/versus-server.mjs
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createVersusServer({port});
+  console.log(`Versus server listening on ws://localhost:${port}/`);
+}
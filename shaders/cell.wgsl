@@ -5,34 +5,195 @@ struct VertexInput {
 
 struct VertexOutput {
   @builtin(position) pos: vec4f,
-  @location(0) cellIdx: vec2f, // New line!
+  @location(0) uv: vec2f, // 0-1 across the cell, y up
+  @location(1) @interpolate(flat) cell: u32,
 };
 
-@group(0) @binding(0) var<uniform> grid: vec2f;
+struct Uniforms {
+  grid: vec2f,
+  ghostStyle: u32,   // GHOST_TRANSLUCENT or GHOST_OUTLINE
+  connectCells: u32, // 1 to draw pieces as connected blocks outlined together
+  // Animation timers in game milliseconds (Grid.getAnimationState)
+  timeMs: f32,
+  lineClearStartMs: f32,
+  lineClearDurationMs: f32,
+  lockFlashStartMs: f32,
+  lockFlashDurationMs: f32,
+  trailStartMs: f32,
+  trailDurationMs: f32,
+};
+
+// Cell kinds, low byte of cellInfo (CELL_KIND in grid.js)
+const KIND_EMPTY = 0u;
+const KIND_LOCKED = 1u;
+const KIND_ACTIVE = 2u;
+const KIND_GHOST = 3u;
+const KIND_TRAIL = 4u;
+
+// Animation flags, bits 12 and up of cellInfo (CELL_FLAG in grid.js)
+const FLAG_CLEARING = 0x1000u;
+const FLAG_LOCK_FLASH = 0x2000u;
+
+// Neighbours of the same piece, bits 8-11 of cellInfo (CELL_CONNECTION in grid.js)
+const CONNECT_UP = 1u;
+const CONNECT_RIGHT = 2u;
+const CONNECT_DOWN = 4u;
+const CONNECT_LEFT = 8u;
+
+const GHOST_TRANSLUCENT = 0u;
+const GHOST_OUTLINE = 1u;
+
+// Gap around each cell in uv units, matches the quad vertices in renderer.js
+const CELL_PADDING = 0.1;
+const BEVEL_WIDTH = 0.12;
+const OUTLINE_WIDTH = 0.05;
+const GHOST_ALPHA = 0.3;
+const GHOST_OUTLINE_ALPHA = 0.8;
+const TRAIL_ALPHA = 0.4;
+const TRAIL_WIDTH = 0.3; // Half width of the trail streak in uv units
+const LOCK_FLASH_STRENGTH = 0.6;
+const LINE_CLEAR_FLASH = 0.3; // Part of the line clear spent flashing before the cells dissolve
+
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
 @group(0) @binding(1) var<storage, read> cellColors: array<vec4f>;
 @group(0) @binding(2) var<storage, read> centerOffset: vec2f;
+@group(0) @binding(3) var<storage, read> cellInfo: array<u32>;
+
+fn cellKind(cell: u32) -> u32 {
+  return cellInfo[cell] & 0xffu;
+}
+
+// Neighbours the cell is drawn connected to, none unless connectCells is set
+fn cellConnections(cell: u32) -> u32 {
+  if (uniforms.connectCells == 0u) {
+    return 0u;
+  }
+  return (cellInfo[cell] >> 8u) & 0xfu;
+}
+
+fn isConnected(connections: u32, side: u32) -> bool {
+  return (connections & side) != 0u;
+}
+
+fn hasFlag(cell: u32, flag: u32) -> bool {
+  return (cellInfo[cell] & flag) != 0u;
+}
+
+// Progress of an animation from 0 to 1
+fn animationProgress(startMs: f32, durationMs: f32) -> f32 {
+  return clamp((uniforms.timeMs - startMs) / max(durationMs, 1.0), 0.0, 1.0);
+}
 
 @vertex
 fn vertexMain(
   input: VertexInput,
 ) -> VertexOutput{
   let i = f32(input.instance);
-  let cellIndex = vec2f(i % grid.x, floor(i / grid.x));
-  let offset = (cellIndex+centerOffset)/grid*2 ;
-  let gridPos = (input.pos+1)/grid - 1 + offset;
+  let cellIndex = vec2f(i % uniforms.grid.x, floor(i / uniforms.grid.x));
+
+  // Stretch the quad over the gap towards connected neighbours
+  let connections = cellConnections(input.instance);
+  var pos = input.pos;
+  if (isConnected(connections, CONNECT_RIGHT) && pos.x > 0.0) {
+    pos.x = 1.0;
+  }
+  if (isConnected(connections, CONNECT_LEFT) && pos.x < 0.0) {
+    pos.x = -1.0;
+  }
+  if (isConnected(connections, CONNECT_UP) && pos.y > 0.0) {
+    pos.y = 1.0;
+  }
+  if (isConnected(connections, CONNECT_DOWN) && pos.y < 0.0) {
+    pos.y = -1.0;
+  }
+
+  let offset = (cellIndex+centerOffset)/uniforms.grid*2 ;
+  let gridPos = (pos+1)/uniforms.grid - 1 + offset;
 
   var output: VertexOutput;
   output.pos = vec4f(gridPos, 0.0, 1.0);
-  output.cellIdx = cellIndex;
+  output.uv = (pos + 1) / 2;
+  output.cell = input.instance;
 
   return output;
 }
 
+// Distance to the left, right, bottom and top edges of the block
+// Edges towards connected neighbours are far away, so bevels and outlines follow the piece shape.
+fn edgeDistances(uv: vec2f, connections: u32) -> vec4f {
+  return vec4f(
+    select(uv.x - CELL_PADDING, 1.0, isConnected(connections, CONNECT_LEFT)),
+    select(1.0 - CELL_PADDING - uv.x, 1.0, isConnected(connections, CONNECT_RIGHT)),
+    select(uv.y - CELL_PADDING, 1.0, isConnected(connections, CONNECT_DOWN)),
+    select(1.0 - CELL_PADDING - uv.y, 1.0, isConnected(connections, CONNECT_UP)),
+  );
+}
+
 @fragment
 fn fragmentMain(input : VertexOutput) -> @location(0) vec4f {
-  let cellX = u32(input.cellIdx.x);
-  let cellY = u32(input.cellIdx.y);
-  let cellIndex = cellY * u32(grid.x) + cellX;
-  return cellColors[cellIndex];
-}
+  let color = cellColors[input.cell];
+  let kind = cellKind(input.cell);
+  if (kind == KIND_EMPTY) {
+    return color;
+  }
 
+  // Hard drop trail: a narrow streak fading out
+  if (kind == KIND_TRAIL) {
+    if (abs(input.uv.x - 0.5) > TRAIL_WIDTH) {
+      discard;
+    }
+    let fade = 1.0 - animationProgress(uniforms.trailStartMs, uniforms.trailDurationMs);
+    return vec4f(color.rgb, TRAIL_ALPHA * fade);
+  }
+
+  let edges = edgeDistances(input.uv, cellConnections(input.cell));
+  let lightEdge = min(edges.x, edges.w); // left and top
+  let darkEdge = min(edges.y, edges.z);  // right and bottom
+  let nearestEdge = min(lightEdge, darkEdge);
+
+  // Ghost piece: blended over the board, or only its outline
+  if (kind == KIND_GHOST) {
+    if (nearestEdge < OUTLINE_WIDTH * 2.0) {
+      return vec4f(color.rgb, GHOST_OUTLINE_ALPHA);
+    }
+    if (uniforms.ghostStyle == GHOST_OUTLINE) {
+      discard;
+    }
+    return vec4f(color.rgb, GHOST_ALPHA);
+  }
+
+  // Locked and active blocks: vertical gradient with a light bevel top/left and a dark one bottom/right
+  var rgb = color.rgb * mix(0.85, 1.1, input.uv.y);
+  if (nearestEdge < BEVEL_WIDTH) {
+    if (lightEdge < darkEdge) {
+      rgb = mix(rgb, vec3f(1.0), 0.35);
+    } else {
+      rgb = rgb * 0.6;
+    }
+  }
+  if (uniforms.connectCells != 0u && nearestEdge < OUTLINE_WIDTH) {
+    rgb = rgb * 0.35;
+  }
+  if (kind == KIND_ACTIVE) {
+    rgb = min(rgb * 1.1, vec3f(1.0));
+  }
+
+  // Lock flash: fade from white back to the block color
+  if (hasFlag(input.cell, FLAG_LOCK_FLASH)) {
+    let t = animationProgress(uniforms.lockFlashStartMs, uniforms.lockFlashDurationMs);
+    rgb = mix(rgb, vec3f(1.0), LOCK_FLASH_STRENGTH * (1.0 - t));
+  }
+
+  // Line clear: flash white, then shrink the blocks into their centers
+  if (hasFlag(input.cell, FLAG_CLEARING)) {
+    let t = animationProgress(uniforms.lineClearStartMs, uniforms.lineClearDurationMs);
+    let dissolve = clamp((t - LINE_CLEAR_FLASH) / (1.0 - LINE_CLEAR_FLASH), 0.0, 1.0);
+    let centerDistance = abs(input.uv - vec2f(0.5));
+    if (max(centerDistance.x, centerDistance.y) > 0.5 * (1.0 - dissolve)) {
+      discard;
+    }
+    rgb = mix(rgb, vec3f(1.0), 1.0 - dissolve);
+  }
+
+  return vec4f(rgb, color.a);
+}
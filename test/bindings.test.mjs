@@ -0,0 +1,69 @@
+import {beforeEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ACTIONS} from '../js/actions.js';
+import {Bindings, DEFAULT_KEY_BINDINGS} from '../js/bindings.js';
+
+const STORAGE_KEY = 'keyBindings';
+
+// In-memory stand-in for the browser's localStorage
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+};
+
+function loadSaved(saved) {
+  storage.set(STORAGE_KEY, JSON.stringify(saved));
+  return new Bindings(DEFAULT_KEY_BINDINGS, STORAGE_KEY);
+}
+
+beforeEach(() => storage.clear());
+
+test('saved bindings replace the defaults of their actions', () => {
+  const bindings = loadSaved({[ACTIONS.HOLD]: ['ShiftLeft', 'KeyC']});
+  assert.deepEqual(bindings.getInputs(ACTIONS.HOLD), ['ShiftLeft', 'KeyC']);
+  assert.deepEqual(bindings.getInputs(ACTIONS.HARD_DROP), ['Space']);
+});
+
+test('bindings saved by bind() load back the same', () => {
+  const bindings = new Bindings(DEFAULT_KEY_BINDINGS, STORAGE_KEY);
+  bindings.bind(ACTIONS.HARD_DROP, 'ArrowUp', {replace: true});
+  const loaded = new Bindings(DEFAULT_KEY_BINDINGS, STORAGE_KEY);
+  assert.deepEqual(loaded.getInputs(ACTIONS.HARD_DROP), ['Space', 'ArrowUp']);
+  assert.deepEqual(loaded.getInputs(ACTIONS.ROTATE_CW), ['KeyX']);
+});
+
+test('saved actions sharing an input fall back to their defaults', () => {
+  const bindings = loadSaved({
+    [ACTIONS.MOVE_LEFT]: ['KeyA'],
+    [ACTIONS.HARD_DROP]: ['KeyA', 'Space'],
+    [ACTIONS.HOLD]: ['ShiftLeft'],
+  });
+  assert.deepEqual(bindings.getInputs(ACTIONS.MOVE_LEFT), ['ArrowLeft']);
+  assert.deepEqual(bindings.getInputs(ACTIONS.HARD_DROP), ['Space']);
+  assert.deepEqual(bindings.getInputs(ACTIONS.HOLD), ['ShiftLeft']);
+  assert.equal(bindings.getAction('KeyA'), null);
+});
+
+test('an input listed twice for one action falls back to the defaults', () => {
+  const bindings = loadSaved({[ACTIONS.HOLD]: ['ShiftLeft', 'ShiftLeft']});
+  assert.deepEqual(bindings.getInputs(ACTIONS.HOLD), ['KeyC']);
+});
+
+test('defaults give up inputs taken by saved actions', () => {
+  // Saved before rotate clockwise was stored, its default ArrowUp was moved to hard drop
+  const bindings = loadSaved({[ACTIONS.HARD_DROP]: ['ArrowUp']});
+  assert.deepEqual(bindings.getInputs(ACTIONS.ROTATE_CW), ['KeyX']);
+  assert.equal(bindings.getAction('ArrowUp'), ACTIONS.HARD_DROP);
+});
+
+test('every input belongs to at most one action after loading', () => {
+  const bindings = loadSaved({
+    [ACTIONS.ROTATE_CW]: ['KeyZ'],
+    [ACTIONS.ROTATE_CCW]: ['KeyZ', 'KeyX'],
+    [ACTIONS.PAUSE]: ['Escape', 7],
+  });
+  const inputs = bindings.getActions().flatMap((action) => bindings.getInputs(action));
+  assert.equal(new Set(inputs).size, inputs.length);
+  assert.deepEqual(bindings.getInputs(ACTIONS.PAUSE), ['Escape']);
+});
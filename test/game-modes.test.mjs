@@ -0,0 +1,20 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {FRAME_MS} from '../js/gravity.js';
+import {formatTime} from '../js/game-modes.js';
+
+test('times are shown in hundredths of a second', () => {
+  assert.equal(formatTime(0), '0:00.00');
+  assert.equal(formatTime(41337), '0:41.33');
+  assert.equal(formatTime(125009), '2:05.00');
+});
+
+test('whole seconds of game ticks are shown exactly', () => {
+  let timeMs = 0;
+  for (let tick = 0; tick < 60; tick++) {
+    timeMs += FRAME_MS;
+  }
+  assert.equal(formatTime(timeMs), '0:01.00');
+  // 41 ticks of 1/60 s
+  assert.equal(formatTime(41 * FRAME_MS), '0:00.68');
+});
@@ -0,0 +1,355 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {CELL_FLAG, GARBAGE_PATTERN, Grid, LOCK_RESET_MODE, TOP_OUT_REASON} from '../js/grid.js';
+import {getAttackLines} from '../js/attack.js';
+import {T_SPIN} from '../js/stats.js';
+import {FRAME_MS} from '../js/gravity.js';
+import {TETROMINOES} from '../js/tetromino.js';
+
+function createGrid(seed) {
+  return new Grid(10, 20, 4, 500, {seed});
+}
+
+function takeShapes(grid, count) {
+  return Array.from({length: count}, () => grid.takeNextTetromino().shape);
+}
+
+// Mark cells as locked, leaving holeColumn empty
+function fillRow(grid, row, holeColumn = -1) {
+  for (let col = 0; col < grid.getWidth(); col++) {
+    if (col !== holeColumn) {
+      grid.isCellColored[grid.getCellIndex(row, col)] = true;
+    }
+  }
+}
+
+// Fixed inputs: shift each piece across the board, rotate every other one, hard drop
+function playSeededGame(seed) {
+  const grid = createGrid(seed);
+  grid.spawnTetromino();
+  for (let i = 0; i < 40 && grid.isPlaying(); i++) {
+    const shift = (i * 3) % 10 - 4;
+    for (let step = 0; step < Math.abs(shift); step++) {
+      if (shift < 0) {
+        grid.moveLeft();
+      } else {
+        grid.moveRight();
+      }
+    }
+    if (i % 2) {
+      grid.rotateClockwise();
+    }
+    grid.hardDrop();
+  }
+  return grid;
+}
+
+test('the same seed yields the same piece sequence', () => {
+  assert.deepEqual(takeShapes(createGrid(42), 28), takeShapes(createGrid(42), 28));
+  assert.notDeepEqual(takeShapes(createGrid(42), 28), takeShapes(createGrid(43), 28));
+});
+
+test('reset restarts the piece sequence from the seed', () => {
+  const grid = createGrid(5);
+  const shapes = takeShapes(grid, 14);
+  grid.reset(5);
+  assert.deepEqual(takeShapes(grid, 14), shapes);
+});
+
+test('every bag of 7 is a permutation of the tetrominoes', () => {
+  const allShapes = Object.keys(TETROMINOES).sort();
+  const shapes = takeShapes(createGrid(2024), 70);
+  for (let i = 0; i < shapes.length; i += 7) {
+    assert.deepEqual(shapes.slice(i, i + 7).sort(), allShapes);
+  }
+});
+
+test('clearCompletedRows removes full rows and drops the rows above', () => {
+  const grid = createGrid(1);
+  fillRow(grid, 0);
+  fillRow(grid, 1);
+  grid.isCellColored[grid.getCellIndex(2, 3)] = true;
+
+  assert.equal(grid.clearCompletedRows(), 2);
+  assert.equal(grid.getColoredCellCountInRow(0), 1);
+  assert.ok(grid.isColored(grid.getCellIndex(0, 3)));
+  assert.equal(grid.getColoredCellCountInRow(1), 0);
+  assert.equal(grid.getColoredCellCountInRow(2), 0);
+});
+
+test('a seeded tetris scores a perfect clear', () => {
+  // Seed 7 starts with an I piece
+  const grid = createGrid(7);
+  assert.equal(grid.getNextQueue()[0].shape, 'I');
+  for (let row = 0; row < 4; row++) {
+    fillRow(grid, row, 9);
+  }
+  let clear = null;
+  grid.on('clear', (event) => {
+    clear = event;
+  });
+
+  grid.spawnTetromino();
+  grid.rotateClockwise();
+  for (let i = 0; i < 10; i++) {
+    grid.moveRight();
+  }
+  grid.hardDrop();
+
+  assert.equal(clear.name, 'Tetris');
+  assert.equal(clear.perfectClear, true);
+  assert.equal(clear.points, 2800);
+  // 19 rows of hard drop at 2 points per row
+  assert.equal(grid.getScore(), 2838);
+  assert.equal(grid.getLinesCleared(), 4);
+  assert.ok(grid.isBoardEmpty());
+});
+
+test('a seeded game with the same inputs ends the same way', () => {
+  const first = playSeededGame(2024);
+  const second = playSeededGame(2024);
+  assert.equal(first.getScore(), 522);
+  assert.equal(second.getScore(), first.getScore());
+  assert.equal(second.getLinesCleared(), first.getLinesCleared());
+  assert.equal(second.getGameState(), first.getGameState());
+  assert.deepEqual(second.getBoardSnapshot(), first.getBoardSnapshot());
+});
+
+test('ending the game during the line clear delay finishes the clear', () => {
+  const grid = new Grid(10, 20, 4, 500, {seed: 7, lineClearDelayMs: 300});
+  fillRow(grid, 0, 9);
+  grid.spawnTetromino();
+  grid.rotateClockwise();
+  for (let i = 0; i < 10; i++) {
+    grid.moveRight();
+  }
+  grid.hardDrop();
+  assert.ok(grid.cellFlags.some((flags) => flags & CELL_FLAG.CLEARING));
+
+  grid.update();
+  grid.endGame();
+  assert.equal(grid.getLinesCleared(), 1);
+  assert.ok(!grid.cellFlags.some((flags) => flags & CELL_FLAG.CLEARING));
+  assert.equal(grid.getColoredCellCountInRow(0), 1);
+});
+
+// Grid with its first piece soft dropped onto the floor, the lock delay is 500 ms
+function createLandedGrid(options = {}) {
+  const grid = new Grid(10, 20, 4, 500, {seed: 1, ...options});
+  grid.spawnTetromino();
+  while (grid.softDrop()) {
+    // Down to the floor
+  }
+  return grid;
+}
+
+// Update until the landed piece locks, moving it sideways every moveEveryMs
+// Returns how long the piece rested before locking, Infinity if it didn't within limitMs
+function getLockTime(grid, {moveEveryMs = Infinity, limitMs = 5000} = {}) {
+  const startMs = grid.getGameTime();
+  let locked = false;
+  const onSpawn = () => {
+    locked = true;
+  };
+  grid.on('spawn', onSpawn);
+
+  let nextMoveMs = moveEveryMs;
+  let direction = -1;
+  while (!locked && grid.getGameTime() - startMs < limitMs) {
+    grid.update();
+    if (!locked && grid.getGameTime() - startMs >= nextMoveMs) {
+      assert.ok(grid.moveTetromino(direction));
+      direction = -direction;
+      nextMoveMs += moveEveryMs;
+    }
+  }
+
+  grid.off('spawn', onSpawn);
+  return locked ? grid.getGameTime() - startMs : Infinity;
+}
+
+function assertLockTime(actualMs, expectedMs) {
+  // The timer starts and is checked on whole ticks
+  const isOnTime = actualMs >= expectedMs && actualMs <= expectedMs + 3 * FRAME_MS;
+  assert.ok(isOnTime, `locked after ${actualMs} ms, expected ${expectedMs} ms`);
+}
+
+test('a resting piece locks after the lock delay', () => {
+  assertLockTime(getLockTime(createLandedGrid()), 500);
+});
+
+test('move resets keep a piece from locking until the reset cap', () => {
+  const uncapped = createLandedGrid({lockResetMode: LOCK_RESET_MODE.MOVE, maxLockResets: 15});
+  assert.equal(getLockTime(uncapped, {moveEveryMs: 300, limitMs: 3000}), Infinity);
+
+  // The third move at 900 ms uses the last reset, the resting piece then locks right away
+  const capped = createLandedGrid({lockResetMode: LOCK_RESET_MODE.MOVE, maxLockResets: 3});
+  assertLockTime(getLockTime(capped, {moveEveryMs: 300}), 900);
+});
+
+test('a new lowest row refills the move resets', () => {
+  const grid = new Grid(10, 20, 4, 500, {seed: 1, lockResetMode: LOCK_RESET_MODE.MOVE, maxLockResets: 2});
+  fillRow(grid, 0, 9);
+  grid.spawnTetromino();
+  while (grid.softDrop()) {
+    // Down to the filled row
+  }
+  // One of the two resets is used resting on the filled row
+  for (let i = 0; i < 18; i++) {
+    grid.update();
+  }
+  assert.ok(grid.moveLeft());
+
+  // The row below goes away and the piece steps down to a new lowest row
+  grid.clearRow(0);
+  assert.ok(grid.softDrop());
+  assertLockTime(getLockTime(grid, {moveEveryMs: 300}), 600);
+});
+
+test('step mode ignores sideways moves', () => {
+  const grid = createLandedGrid({lockResetMode: LOCK_RESET_MODE.STEP});
+  assertLockTime(getLockTime(grid, {moveEveryMs: 300}), 500);
+});
+
+test('step mode restarts the lock delay when the piece steps down', () => {
+  const grid = createLandedGrid({lockResetMode: LOCK_RESET_MODE.STEP});
+  for (let i = 0; i < 12; i++) {
+    grid.update();
+  }
+  // A kick lifted the piece and it stepped back down without reaching a new lowest row
+  grid.resetLockDelay(true);
+  assertLockTime(getLockTime(grid) + 12 * FRAME_MS, 200 + 500);
+});
+
+test('infinite mode resets on every move', () => {
+  const grid = createLandedGrid({lockResetMode: LOCK_RESET_MODE.INFINITE});
+  assert.equal(getLockTime(grid, {moveEveryMs: 300, limitMs: 10000}), Infinity);
+});
+
+// Drop the first piece of seed 7, an I, upright into column 9
+function dropIntoRightWell(grid) {
+  grid.spawnTetromino();
+  grid.rotateClockwise();
+  for (let i = 0; i < 10; i++) {
+    grid.moveRight();
+  }
+  grid.hardDrop();
+}
+
+// Hole columns of the bottom rows, -1 for rows without exactly one hole
+function getHoleColumns(grid, rows) {
+  return Array.from({length: rows}, (_, row) => {
+    const holes = [];
+    for (let col = 0; col < grid.getWidth(); col++) {
+      if (!grid.isColored(grid.getCellIndex(row, col))) {
+        holes.push(col);
+      }
+    }
+    return holes.length === 1 ? holes[0] : -1;
+  });
+}
+
+test('attacks follow the guideline table', () => {
+  const clear = {linesCleared: 0, tSpin: T_SPIN.NONE, backToBack: false, combo: 0, perfectClear: false};
+  assert.deepEqual([0, 1, 2, 3, 4].map((linesCleared) => getAttackLines({...clear, linesCleared})), [0, 0, 1, 2, 4]);
+  assert.equal(getAttackLines({...clear, linesCleared: 2, tSpin: T_SPIN.FULL}), 4);
+  assert.equal(getAttackLines({...clear, linesCleared: 1, tSpin: T_SPIN.MINI}), 0);
+  assert.equal(getAttackLines({...clear, linesCleared: 4, backToBack: true}), 5);
+  assert.equal(getAttackLines({...clear, linesCleared: 1, combo: 4}), 2);
+  assert.equal(getAttackLines({...clear, linesCleared: 1, combo: 30}), 5);
+  assert.equal(getAttackLines({...clear, linesCleared: 4, perfectClear: true}), 14);
+});
+
+test('attacks cancel the oldest incoming garbage first', () => {
+  const grid = createGrid(1);
+  grid.receiveGarbage(2, {holeColumn: 0});
+  grid.receiveGarbage(3, {holeColumn: 1});
+
+  assert.equal(grid.cancelGarbage(3), 0);
+  assert.equal(grid.getPendingGarbage(), 2);
+  assert.deepEqual(grid.garbageQueue.map(({lines, holeColumn}) => ({lines, holeColumn})), [{lines: 2, holeColumn: 1}]);
+  assert.equal(grid.cancelGarbage(5), 3);
+  assert.equal(grid.getPendingGarbage(), 0);
+});
+
+test('a clear cancels incoming garbage and sends the rest', () => {
+  const grid = createGrid(7);
+  for (let row = 0; row < 4; row++) {
+    fillRow(grid, row, 9);
+  }
+  grid.receiveGarbage(3, {holeColumn: 0});
+  let attack = null;
+  grid.on('attack', (event) => {
+    attack = event;
+  });
+
+  dropIntoRightWell(grid);
+  // Perfect clear tetris: 4 + 10 lines
+  assert.deepEqual(attack, {lines: 11, cancelled: 3});
+  assert.equal(grid.getPendingGarbage(), 0);
+  assert.ok(grid.isBoardEmpty());
+});
+
+test('garbage waits for its delay before rising', () => {
+  const grid = new Grid(10, 20, 4, 500, {seed: 7, garbageDelayMs: 500});
+  grid.spawnTetromino();
+  grid.receiveGarbage(2, {holeColumn: 0});
+  grid.hardDrop();
+  assert.equal(grid.getPendingGarbage(), 2);
+
+  for (let i = 0; i < 30; i++) {
+    grid.update();
+  }
+  grid.hardDrop();
+  assert.equal(grid.getPendingGarbage(), 0);
+  assert.deepEqual(getHoleColumns(grid, 2), [0, 0]);
+});
+
+test('garbage only rises when a piece locks without clearing lines', () => {
+  const grid = createGrid(7);
+  fillRow(grid, 0, 9);
+  grid.receiveGarbage(2, {holeColumn: 0});
+  const risen = [];
+  grid.on('garbage', ({lines}) => risen.push(lines));
+
+  // A single sends no attack, the garbage stays queued
+  dropIntoRightWell(grid);
+  assert.equal(grid.getLinesCleared(), 1);
+  assert.equal(grid.getPendingGarbage(), 2);
+  assert.deepEqual(risen, []);
+
+  grid.hardDrop();
+  assert.deepEqual(risen, [2]);
+  assert.equal(grid.getPendingGarbage(), 0);
+});
+
+test('clean garbage shares one hole, messy garbage moves it every row', () => {
+  const clean = new Grid(10, 20, 4, 500, {seed: 3, garbagePattern: GARBAGE_PATTERN.CLEAN});
+  clean.insertGarbage(8);
+  const cleanHoles = getHoleColumns(clean, 8);
+  assert.ok(cleanHoles[0] >= 0);
+  assert.deepEqual(new Set(cleanHoles), new Set([cleanHoles[0]]));
+
+  const messy = new Grid(10, 20, 4, 500, {seed: 3, garbagePattern: GARBAGE_PATTERN.MESSY});
+  messy.insertGarbage(8);
+  const messyHoles = getHoleColumns(messy, 8);
+  assert.ok(messyHoles.every((col) => col >= 0));
+  assert.ok(new Set(messyHoles).size > 1);
+
+  // A hole column given by the sender applies to every row, whatever the pattern
+  const fixed = new Grid(10, 20, 4, 500, {seed: 3, garbagePattern: GARBAGE_PATTERN.MESSY});
+  fixed.insertGarbage(4, {holeColumn: 6});
+  assert.deepEqual(getHoleColumns(fixed, 4), [6, 6, 6, 6]);
+});
+
+test('garbage pushing the stack past the top tops out', () => {
+  const grid = createGrid(1);
+  grid.spawnTetromino();
+  grid.isCellColored[grid.getCellIndex(grid.height - 2, 0)] = true;
+
+  assert.ok(grid.insertGarbage(1));
+  assert.ok(grid.isPlaying());
+  assert.equal(grid.insertGarbage(1), false);
+  assert.ok(!grid.isPlaying());
+  assert.equal(grid.topOutReason, TOP_OUT_REASON.TOP_OUT);
+});
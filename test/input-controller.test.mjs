@@ -0,0 +1,113 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ACTIONS} from '../js/actions.js';
+import {InputController} from '../js/input-controller.js';
+
+const TICK_MS = 10;
+const GRAVITY_INTERVAL_MS = 1000;
+
+// Controller moving a piece on a board 10 columns wide, moves fail at the walls and the floor
+function createController(options = {}) {
+  const controller = new InputController({dasMs: 100, arrMs: 20, softDropFactor: 20, ...options});
+  const board = {col: 5, row: 20, moved: []};
+  controller.setActionCallback((action) => {
+    let moved = false;
+    if (action === ACTIONS.MOVE_LEFT && board.col > 0) {
+      board.col--;
+      moved = true;
+    } else if (action === ACTIONS.MOVE_RIGHT && board.col < 9) {
+      board.col++;
+      moved = true;
+    } else if (action === ACTIONS.SOFT_DROP && board.row > 0) {
+      board.row--;
+      moved = true;
+    }
+    if (moved) {
+      board.moved.push(action);
+    }
+    return moved;
+  });
+  return {controller, board};
+}
+
+// Run ticks and return the ticks the piece moved on with an action
+function runTicks(controller, board, ticks, action) {
+  const movedOn = [];
+  for (let tick = 0; tick < ticks; tick++) {
+    board.moved = [];
+    controller.update(TICK_MS, GRAVITY_INTERVAL_MS);
+    board.moved.filter((moved) => moved === action).forEach(() => movedOn.push(tick));
+  }
+  return movedOn;
+}
+
+test('a tap moves once without auto shift', () => {
+  const {controller, board} = createController();
+  controller.press(ACTIONS.MOVE_LEFT);
+  controller.release(ACTIONS.MOVE_LEFT);
+  assert.deepEqual(runTicks(controller, board, 30, ACTIONS.MOVE_LEFT), [0]);
+  assert.equal(board.col, 4);
+});
+
+test('a held move repeats every ARR once DAS is charged', () => {
+  const {controller, board} = createController();
+  controller.press(ACTIONS.MOVE_RIGHT);
+  // Moves on the press, after 100 ms of DAS, then every 20 ms until the wall
+  assert.deepEqual(runTicks(controller, board, 20, ACTIONS.MOVE_RIGHT), [0, 10, 12, 14]);
+  assert.equal(board.col, 9);
+});
+
+test('ARR 0 moves to the wall as soon as DAS is charged', () => {
+  const {controller, board} = createController({dasMs: 50, arrMs: 0});
+  controller.press(ACTIONS.MOVE_LEFT);
+  // The press tick moves once, DAS is charged 50 ms later
+  runTicks(controller, board, 5, ACTIONS.MOVE_LEFT);
+  assert.equal(board.col, 4);
+  runTicks(controller, board, 1, ACTIONS.MOVE_LEFT);
+  assert.equal(board.col, 0);
+});
+
+test('releasing the last pressed direction falls back to the held one', () => {
+  const {controller, board} = createController();
+  controller.press(ACTIONS.MOVE_LEFT);
+  runTicks(controller, board, 5, ACTIONS.MOVE_LEFT);
+  controller.press(ACTIONS.MOVE_RIGHT);
+  assert.deepEqual(runTicks(controller, board, 5, ACTIONS.MOVE_RIGHT), [0]);
+
+  // DAS charges again for the held left move
+  controller.release(ACTIONS.MOVE_RIGHT);
+  assert.deepEqual(runTicks(controller, board, 12, ACTIONS.MOVE_LEFT), [9, 11]);
+});
+
+test('soft drop repeats at the soft drop factor times gravity', () => {
+  const {controller, board} = createController();
+  controller.press(ACTIONS.SOFT_DROP);
+  // 1000 ms per row at factor 20 is a row every 50 ms
+  assert.deepEqual(runTicks(controller, board, 16, ACTIONS.SOFT_DROP), [0, 5, 10, 15]);
+});
+
+test('an infinite soft drop factor drops to the floor', () => {
+  const {controller, board} = createController({softDropFactor: Infinity});
+  controller.press(ACTIONS.SOFT_DROP);
+  runTicks(controller, board, 2, ACTIONS.SOFT_DROP);
+  assert.equal(board.row, 0);
+});
+
+test('DAS charge carries over to the next piece when preserved', () => {
+  const {controller, board} = createController();
+  controller.press(ACTIONS.MOVE_LEFT);
+  runTicks(controller, board, 11, ACTIONS.MOVE_LEFT);
+  board.col = 9;
+  controller.onSpawn();
+  // Already charged, the next move waits for ARR only
+  assert.deepEqual(runTicks(controller, board, 4, ACTIONS.MOVE_LEFT), [1, 3]);
+});
+
+test('DAS charge restarts on a new piece when not preserved', () => {
+  const {controller, board} = createController({preserveDasCharge: false});
+  controller.press(ACTIONS.MOVE_LEFT);
+  runTicks(controller, board, 11, ACTIONS.MOVE_LEFT);
+  board.col = 9;
+  controller.onSpawn();
+  assert.deepEqual(runTicks(controller, board, 12, ACTIONS.MOVE_LEFT), [9, 11]);
+});
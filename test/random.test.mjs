@@ -0,0 +1,29 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SeededRandom} from '../js/random.js';
+
+function take(rng, count) {
+  return Array.from({length: count}, () => rng.next());
+}
+
+test('the same seed yields the same sequence', () => {
+  assert.deepEqual(take(new SeededRandom(1234), 20), take(new SeededRandom(1234), 20));
+  assert.notDeepEqual(take(new SeededRandom(1234), 20), take(new SeededRandom(1235), 20));
+});
+
+test('setSeed restarts the sequence', () => {
+  const rng = new SeededRandom(99);
+  const first = take(rng, 10);
+  rng.setSeed(99);
+  assert.deepEqual(take(rng, 10), first);
+});
+
+test('numbers stay in range', () => {
+  const rng = new SeededRandom(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = rng.next();
+    assert.ok(value >= 0 && value < 1);
+    const int = rng.nextInt(7);
+    assert.ok(Number.isInteger(int) && int >= 0 && int < 7);
+  }
+});
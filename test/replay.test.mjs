@@ -0,0 +1,102 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Grid} from '../js/grid.js';
+import {ACTIONS, applyAction} from '../js/actions.js';
+import {ReplayPlayer, ReplayRecorder, parseReplay, serializeReplay} from '../js/replay.js';
+
+const INPUTS = [ACTIONS.MOVE_LEFT, ACTIONS.ROTATE_CW, ACTIONS.HARD_DROP, ACTIONS.HOLD, ACTIONS.HARD_DROP];
+
+function createGrid(options = {}) {
+  return new Grid(10, 20, 4, 500, {seed: 3, lineClearDelayMs: 300, ...options});
+}
+
+// Play a short game one action every 10 ticks, returning its grid and replay text
+function recordGame() {
+  const grid = createGrid();
+  const recorder = new ReplayRecorder();
+  grid.reset(3);
+  grid.spawnTetromino();
+  recorder.start(grid);
+  for (let i = 0; i < 30; i++) {
+    for (let tick = 0; tick < 10; tick++) {
+      grid.update();
+    }
+    const action = INPUTS[i % INPUTS.length];
+    recorder.record(grid.getTick(), action);
+    applyAction(grid, action);
+  }
+  // The last input is applied before the update that follows it
+  grid.update();
+  return {grid, text: serializeReplay(recorder.stop(grid.getTick()))};
+}
+
+function replaceSettings(text, settings) {
+  const data = JSON.parse(text);
+  data.settings = settings === undefined ? undefined : {...data.settings, ...settings};
+  return JSON.stringify(data);
+}
+
+test('a parsed replay plays back to the recorded board', () => {
+  const {grid, text} = recordGame();
+  const playbackGrid = createGrid();
+  const player = new ReplayPlayer(parseReplay(text), playbackGrid);
+  player.seek(player.getLength());
+
+  assert.equal(playbackGrid.getTick(), grid.getTick());
+  assert.equal(playbackGrid.getScore(), grid.getScore());
+  assert.deepEqual(playbackGrid.getBoardSnapshot(), grid.getBoardSnapshot());
+});
+
+test('parseReplay rejects missing or invalid fields', () => {
+  const {text} = recordGame();
+  const data = JSON.parse(text);
+  const invalid = [
+    {...data, seed: 'abc'},
+    {...data, tickMs: 0},
+    {...data, ticks: -1},
+    {...data, settings: undefined},
+    {...data, inputs: [-5, 0]},
+  ];
+  for (const replay of invalid) {
+    assert.throws(() => parseReplay(JSON.stringify(replay)));
+  }
+  assert.throws(() => parseReplay(replaceSettings(text, {width: 0})), /width/);
+  assert.throws(() => parseReplay(replaceSettings(text, {lockDelayMs: null})), /lockDelayMs/);
+  assert.throws(() => parseReplay(replaceSettings(text, {lockResetMode: 'never'})), /lockResetMode/);
+});
+
+test('replays without the newer settings get the values they were recorded with', () => {
+  const {text} = recordGame();
+  const legacy = JSON.parse(text);
+  delete legacy.settings.lineClearDelayMs;
+  delete legacy.settings.entryDelayMs;
+  delete legacy.settings.lockResetMode;
+  delete legacy.settings.maxLockResets;
+  delete legacy.settings.mode;
+
+  const {settings} = parseReplay(JSON.stringify(legacy));
+  assert.equal(settings.lineClearDelayMs, 0);
+  assert.equal(settings.lockResetMode, 'move');
+  assert.equal(settings.maxLockResets, 15);
+  assert.equal(settings.mode, null);
+});
+
+test('a replay recorded on another board size is rejected', () => {
+  const {text} = recordGame();
+  const replay = parseReplay(replaceSettings(text, {width: 12}));
+  const grid = createGrid();
+  assert.throws(() => new ReplayPlayer(replay, grid), /width/);
+  assert.equal(grid.getTick(), 0);
+  assert.ok(grid.isBoardEmpty());
+});
+
+test('playback applies the recorded lock delay and lock resets', () => {
+  const {text} = recordGame();
+  const replay = parseReplay(replaceSettings(text, {lockDelayMs: 1000, lockResetMode: 'step', maxLockResets: 3}));
+  const grid = createGrid();
+  new ReplayPlayer(replay, grid);
+
+  assert.equal(grid.lockDelayMs, 1000);
+  assert.equal(grid.lockResetMode, 'step');
+  assert.equal(grid.maxLockResets, 3);
+});
@@ -0,0 +1,207 @@
+import {after, before, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {once} from 'node:events';
+import {WebSocket} from 'ws';
+import {MAX_CACHED_DELTAS, createSpectatorServer} from '../server/spectator-server.mjs';
+import {SPECTATOR_STATE, SpectatorViewer} from '../js/spectator.js';
+
+// SpectatorViewer connects with the browser WebSocket, ws implements the same interface
+globalThis.WebSocket = WebSocket;
+
+let server;
+let url;
+const clients = [];
+const viewers = [];
+
+before(async () => {
+  // Port 0 picks a free port
+  server = createSpectatorServer({port: 0});
+  await once(server, 'listening');
+  url = `ws://localhost:${server.address().port}/`;
+});
+
+after(() => {
+  viewers.forEach((viewer) => viewer.stop());
+  // Closing normally ends the games right away instead of after the reconnect grace period
+  clients.forEach((client) => client.socket.close(1000));
+  server.close();
+});
+
+// Connect a raw WebSocket, received messages are queued until a test waits for them
+async function connect() {
+  const socket = new WebSocket(url);
+  const client = {socket, messages: [], waiting: []};
+  socket.on('message', (data) => {
+    const message = JSON.parse(String(data));
+    const index = client.waiting.findIndex(({type}) => type === message.type);
+    if (index === -1) {
+      client.messages.push(message);
+    } else {
+      client.waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+  clients.push(client);
+  await once(socket, 'open');
+  return client;
+}
+
+function send(client, message) {
+  client.socket.send(JSON.stringify(message));
+}
+
+// Resolve with the next message of a type
+function next(client, type) {
+  const index = client.messages.findIndex((message) => message.type === type);
+  if (index !== -1) {
+    return Promise.resolve(client.messages.splice(index, 1)[0]);
+  }
+  return new Promise((resolve) => client.waiting.push({type, resolve}));
+}
+
+// Connect a host and start broadcasting a game
+async function startHost(gameId = null) {
+  const host = await connect();
+  send(host, {type: 'host', gameId, name: 'Alice'});
+  const hosted = await next(host, 'hosted');
+  return {host, gameId: hosted.gameId};
+}
+
+function snapshot(gameId, seq) {
+  return {type: 'snapshot', gameId, seq, cells: [0, 0, 0, 0], piece: null, hold: null, next: [], stats: null};
+}
+
+function delta(gameId, seq) {
+  return {type: 'delta', gameId, seq, cells: [seq % 4, 1]};
+}
+
+// Resolve once a viewer reaches a state
+function waitForState(viewer, state) {
+  return new Promise((resolve) => {
+    viewer.setStateCallback((current) => {
+      if (current === state) {
+        resolve();
+      }
+    });
+  });
+}
+
+test('a late viewer gets the cached snapshot, then the deltas since', {timeout: 5000}, async () => {
+  const {host, gameId} = await startHost();
+  send(host, snapshot(gameId, 1));
+  send(host, delta(gameId, 2));
+  send(host, delta(gameId, 3));
+
+  const viewer = await connect();
+  send(viewer, {type: 'watch', gameId});
+  assert.equal((await next(viewer, 'snapshot')).seq, 1);
+  assert.equal((await next(viewer, 'delta')).seq, 2);
+  assert.equal((await next(viewer, 'delta')).seq, 3);
+  assert.deepEqual(viewer.messages, []);
+
+  // Live deltas follow the catch up
+  send(host, delta(gameId, 4));
+  assert.equal((await next(viewer, 'delta')).seq, 4);
+});
+
+test('a sequence gap makes the viewer resync from a new snapshot', {timeout: 5000}, async () => {
+  const {host, gameId} = await startHost();
+  send(host, snapshot(gameId, 1));
+  send(host, delta(gameId, 2));
+
+  const viewer = new SpectatorViewer(url, 2, 2);
+  viewers.push(viewer);
+  const watching = waitForState(viewer, SPECTATOR_STATE.WATCHING);
+  viewer.watch(gameId);
+  await watching;
+
+  // Delta 3 never arrived
+  const resynced = waitForState(viewer, SPECTATOR_STATE.WATCHING);
+  viewer.applyDelta(delta(gameId, 4));
+  assert.equal(viewer.getState(), SPECTATOR_STATE.RESYNCING);
+  send(host, snapshot(gameId, 5));
+  await resynced;
+  assert.equal(viewer.seq, 5);
+});
+
+test('a dropped host keeps its game id within the grace period', {timeout: 5000}, async () => {
+  const {host, gameId} = await startHost();
+  host.socket.terminate();
+  await once(host.socket, 'close');
+
+  const resumed = await startHost(gameId);
+  assert.equal(resumed.gameId, gameId);
+});
+
+test('a host closing normally ends the game for its viewers', {timeout: 5000}, async () => {
+  const {host, gameId} = await startHost();
+  send(host, snapshot(gameId, 1));
+  const viewer = await connect();
+  send(viewer, {type: 'watch', gameId});
+  await next(viewer, 'snapshot');
+
+  host.socket.close(1000);
+  assert.equal((await next(viewer, 'gameEnded')).gameId, gameId);
+
+  // The game is gone, a new host can't resume it
+  const {gameId: newGameId} = await startHost(gameId);
+  assert.notEqual(newGameId, gameId);
+});
+
+test('the host is asked for a snapshot once the cached deltas fill up', {timeout: 5000}, async () => {
+  const {host, gameId} = await startHost();
+  send(host, snapshot(gameId, 1));
+  for (let seq = 2; seq <= MAX_CACHED_DELTAS + 1; seq++) {
+    send(host, delta(gameId, seq));
+  }
+  await next(host, 'resync');
+
+  // The new snapshot replaces the cache
+  send(host, snapshot(gameId, MAX_CACHED_DELTAS + 2));
+  const viewer = await connect();
+  send(viewer, {type: 'watch', gameId});
+  assert.equal((await next(viewer, 'snapshot')).seq, MAX_CACHED_DELTAS + 2);
+});
+
+test('the live games are listed once per refresh', {timeout: 5000}, async () => {
+  const viewer = new SpectatorViewer(url);
+  viewers.push(viewer);
+  let lists = 0;
+  let listed;
+  viewer.setGamesCallback((games) => {
+    lists++;
+    listed(games);
+  });
+
+  let games = new Promise((resolve) => listed = resolve);
+  viewer.refreshGames();
+  assert.ok(Array.isArray(await games));
+
+  // Requests are answered in order, a duplicate of the first would arrive before this one
+  games = new Promise((resolve) => listed = resolve);
+  viewer.refreshGames();
+  await games;
+  assert.equal(lists, 2);
+});
+
+test('watching while connecting asks for the game once', {timeout: 5000}, async () => {
+  const {host, gameId} = await startHost();
+  send(host, snapshot(gameId, 1));
+  const viewer = new SpectatorViewer(url, 2, 2);
+  viewers.push(viewer);
+  let snapshots = 0;
+  viewer.setUpdateCallback(() => {
+    if (viewer.seq === 1) {
+      snapshots++;
+    }
+  });
+
+  const watching = waitForState(viewer, SPECTATOR_STATE.WATCHING);
+  viewer.watch(gameId);
+  await watching;
+  // A second snapshot would be relayed along with this delta
+  const updated = new Promise((resolve) => viewer.setUpdateCallback(resolve));
+  send(host, delta(gameId, 2));
+  await updated;
+  assert.equal(snapshots, 1);
+  assert.equal(viewer.seq, 2);
+});
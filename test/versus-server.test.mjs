@@ -0,0 +1,155 @@
+import {after, before, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {once} from 'node:events';
+import {WebSocket} from 'ws';
+import {createVersusServer} from '../server/versus-server.mjs';
+import {Grid} from '../js/grid.js';
+import {VERSUS_STATE, VersusMatch} from '../js/versus.js';
+
+// VersusMatch connects with the browser WebSocket, ws implements the same interface
+globalThis.WebSocket = WebSocket;
+
+let server;
+let url;
+const clients = [];
+
+before(async () => {
+  // Port 0 picks a free port
+  server = createVersusServer({port: 0});
+  await once(server, 'listening');
+  url = `ws://localhost:${server.address().port}/`;
+});
+
+after(() => {
+  clients.forEach((client) => client.socket.terminate());
+  server.close();
+});
+
+// Connect a raw WebSocket, received messages are queued until a test waits for them
+async function connect() {
+  const socket = new WebSocket(url);
+  const client = {socket, messages: [], waiting: []};
+  socket.on('message', (data) => {
+    const message = JSON.parse(String(data));
+    const index = client.waiting.findIndex(({type}) => type === message.type);
+    if (index === -1) {
+      client.messages.push(message);
+    } else {
+      client.waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+  clients.push(client);
+  await once(socket, 'open');
+  return client;
+}
+
+function send(client, message) {
+  client.socket.send(JSON.stringify(message));
+}
+
+// Resolve with the next message of a type
+function next(client, type) {
+  const index = client.messages.findIndex((message) => message.type === type);
+  if (index !== -1) {
+    return Promise.resolve(client.messages.splice(index, 1)[0]);
+  }
+  return new Promise((resolve) => client.waiting.push({type, resolve}));
+}
+
+// Two players joined into the same room
+async function pair() {
+  const first = await connect();
+  send(first, {type: 'join', name: 'Alice'});
+  await next(first, 'joined');
+  const second = await connect();
+  send(second, {type: 'join', name: 'Bob'});
+  await next(second, 'joined');
+  await next(first, 'opponentJoined');
+  return [first, second];
+}
+
+test('the second player to join is paired with the first', {timeout: 5000}, async () => {
+  const first = await connect();
+  send(first, {type: 'join', name: 'Alice'});
+  assert.equal((await next(first, 'joined')).opponent, null);
+
+  const second = await connect();
+  send(second, {type: 'join', name: 'Bob'});
+  assert.equal((await next(second, 'joined')).opponent, 'Alice');
+  assert.equal((await next(first, 'opponentJoined')).name, 'Bob');
+});
+
+test('both players start with the same seed once both are ready', {timeout: 5000}, async () => {
+  const [first, second] = await pair();
+  send(first, {type: 'ready'});
+  send(second, {type: 'ready'});
+
+  const [firstStart, secondStart] = await Promise.all([next(first, 'start'), next(second, 'start')]);
+  assert.ok(Number.isInteger(firstStart.seed));
+  assert.equal(secondStart.seed, firstStart.seed);
+});
+
+test('board, garbage and gameOver are relayed to the opponent', {timeout: 5000}, async () => {
+  const [first, second] = await pair();
+
+  send(first, {type: 'board', cells: [1, 0, 1], score: 100});
+  assert.deepEqual(await next(second, 'board'), {type: 'board', cells: [1, 0, 1], score: 100});
+  send(second, {type: 'garbage', lines: 2});
+  assert.equal((await next(first, 'garbage')).lines, 2);
+  send(first, {type: 'gameOver', score: 300});
+  assert.equal((await next(second, 'gameOver')).score, 300);
+});
+
+test('the remaining player is told when the opponent disconnects', {timeout: 5000}, async () => {
+  const [first, second] = await pair();
+  second.socket.close();
+  await next(first, 'opponentLeft');
+
+  // The remaining player waits for the next opponent
+  const third = await connect();
+  send(third, {type: 'join', name: 'Carol'});
+  assert.equal((await next(third, 'joined')).opponent, 'Alice');
+  assert.equal((await next(first, 'opponentJoined')).name, 'Carol');
+});
+
+test('a round forfeited by a dropped connection is not sent to the next opponent', {timeout: 5000}, async () => {
+  const opponent = await connect();
+  send(opponent, {type: 'join', name: 'Bob'});
+  await next(opponent, 'joined');
+
+  const grid = new Grid(10, 20, 4, 500);
+  const match = new VersusMatch(grid, url);
+  match.setStartCallback((seed) => {
+    grid.reset(seed);
+    grid.spawnTetromino();
+  });
+  // Resolve once the match reaches a state
+  const waitForState = (state) => new Promise((resolve) => match.setStateCallback((current) => {
+    if (current === state) {
+      resolve();
+    }
+  }));
+
+  try {
+    const matched = waitForState(VERSUS_STATE.MATCHED);
+    match.connect('Alice');
+    await matched;
+    const playing = waitForState(VERSUS_STATE.PLAYING);
+    match.ready();
+    send(opponent, {type: 'ready'});
+    await playing;
+
+    // The connection drops mid-round, the server pairs the reconnecting player with the waiting opponent again
+    match.client.dropConnection();
+    assert.ok(grid.isGameOver());
+    await next(opponent, 'opponentLeft');
+    opponent.messages = [];
+    await next(opponent, 'opponentJoined');
+
+    // Resent messages would follow the join right away
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.deepEqual(opponent.messages.map(({type}) => type), []);
+  } finally {
+    match.leave();
+  }
+});
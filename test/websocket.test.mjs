@@ -0,0 +1,372 @@
+import {afterEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {once} from 'node:events';
+import {WebSocket, WebSocketServer} from 'ws';
+import {createProtocol} from '../server/protocol.mjs';
+import {
+  CONNECTION_STATE,
+  MESSAGE_PRIORITY,
+  QUEUE_DROP_POLICY,
+  REQUEST_ERROR,
+  RequestError,
+  WebSocketClient,
+} from '../js/websocket.js';
+
+// WebSocketClient connects with the browser WebSocket, ws implements the same interface
+globalThis.WebSocket = WebSocket;
+
+const servers = [];
+const clients = [];
+
+afterEach(() => {
+  clients.splice(0).forEach((client) => client.close());
+  servers.splice(0).forEach(({server}) => {
+    server.clients.forEach((socket) => socket.terminate());
+    server.close();
+  });
+});
+
+// Server answering like the local servers (server/protocol.mjs), non-protocol messages are recorded
+// silent: accept connections but never answer, not even pings
+async function startServer({port = 0, requests = {}, silent = false} = {}) {
+  const server = new WebSocketServer({port});
+  const protocol = createProtocol();
+  const received = [];
+  server.on('connection', (socket) => {
+    if (!silent) {
+      protocol.handle(socket, {requests, onMessage: (message) => received.push(message)});
+    }
+  });
+  await once(server, 'listening');
+  const entry = {server, received, url: `ws://localhost:${server.address().port}/`};
+  servers.push(entry);
+  return entry;
+}
+
+// Port nothing listens on
+async function getClosedPort() {
+  const server = new WebSocketServer({port: 0});
+  await once(server, 'listening');
+  const {port} = server.address();
+  server.close();
+  return port;
+}
+
+function createClient(url, options = {}) {
+  const client = new WebSocketClient(url, {reconnectJitter: 0, heartbeatInterval: 0, ...options});
+  clients.push(client);
+  return client;
+}
+
+function recordStates(client) {
+  const states = [];
+  client.on('stateChange', (state) => states.push(state));
+  return states;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const startMs = Date.now();
+  while (!condition()) {
+    if (Date.now() - startMs > timeoutMs) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+// Resolve with the next event of a client
+function nextEvent(client, event) {
+  return new Promise((resolve) => {
+    const handler = (data) => {
+      client.off(event, handler);
+      resolve(data);
+    };
+    client.on(event, handler);
+  });
+}
+
+test('the state goes from connecting to open, and to closed on close()', async () => {
+  const {url} = await startServer();
+  const client = createClient(url);
+  const states = recordStates(client);
+  assert.equal(client.getState(), CONNECTION_STATE.CONNECTING);
+
+  await nextEvent(client, 'open');
+  assert.ok(client.isOpen());
+  client.close();
+  assert.deepEqual(states, [CONNECTION_STATE.OPEN, CONNECTION_STATE.CLOSED]);
+});
+
+test('a lost connection reconnects', async () => {
+  const {server, url} = await startServer();
+  const client = createClient(url, {reconnectInterval: 10});
+  await nextEvent(client, 'open');
+  const states = recordStates(client);
+
+  server.clients.forEach((socket) => socket.terminate());
+  await nextEvent(client, 'open');
+  assert.deepEqual(states, [CONNECTION_STATE.RECONNECTING, CONNECTION_STATE.CONNECTING, CONNECTION_STATE.OPEN]);
+});
+
+test('the client gives up after the max reconnect attempts, reconnect() starts over', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const port = await getClosedPort();
+  const client = createClient(`ws://localhost:${port}/`, {reconnectInterval: 10, maxReconnectAttempts: 2});
+  const states = recordStates(client);
+
+  await nextEvent(client, 'maxReconnectAttemptsReached');
+  assert.deepEqual(states, [
+    CONNECTION_STATE.RECONNECTING,
+    CONNECTION_STATE.CONNECTING,
+    CONNECTION_STATE.RECONNECTING,
+    CONNECTION_STATE.CONNECTING,
+    CONNECTION_STATE.DISCONNECTED,
+  ]);
+
+  await startServer({port});
+  client.reconnect();
+  await nextEvent(client, 'open');
+  assert.equal(client.getState(), CONNECTION_STATE.OPEN);
+});
+
+test('reconnect delays back off exponentially up to the max, with jitter', (t) => {
+  const client = createClient('ws://localhost:1/', {
+    autoConnect: false,
+    reconnectInterval: 100,
+    maxReconnectInterval: 1000,
+    reconnectJitter: 0.5,
+  });
+  const getDelays = () => [1, 2, 3, 4, 5].map((attempts) => {
+    client.reconnectAttempts = attempts;
+    return client.getReconnectDelay();
+  });
+
+  const random = t.mock.method(Math, 'random', () => 0.5);
+  assert.deepEqual(getDelays(), [100, 200, 400, 800, 1000]);
+  random.mock.mockImplementation(() => 0);
+  assert.deepEqual(getDelays(), [50, 100, 200, 400, 500]);
+  random.mock.mockImplementation(() => 0.999999);
+  assert.deepEqual(getDelays(), [150, 300, 600, 1200, 1500]);
+});
+
+test('a heartbeat without an answer drops the connection', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const {url} = await startServer({silent: true});
+  const client = createClient(url, {heartbeatInterval: 20, heartbeatTimeout: 30, reconnectInterval: 10});
+  await nextEvent(client, 'open');
+
+  const {code} = await nextEvent(client, 'close');
+  assert.equal(code, 4000);
+  assert.equal(client.getState(), CONNECTION_STATE.RECONNECTING);
+});
+
+test('answered heartbeats keep the connection and measure latency', async () => {
+  const {url} = await startServer();
+  const client = createClient(url, {heartbeatInterval: 20, heartbeatTimeout: 30});
+  let closed = false;
+  client.on('close', () => {
+    closed = true;
+  });
+  await nextEvent(client, 'open');
+
+  await waitFor(() => client.getLatency() !== null);
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.ok(!closed);
+  assert.ok(client.isOpen());
+});
+
+test('queued messages are sent highest priority first once connected', async () => {
+  const {received, url} = await startServer();
+  const client = createClient(url);
+  client.send({type: 'low'}, {priority: MESSAGE_PRIORITY.LOW});
+  client.send({type: 'first'});
+  client.send({type: 'high'}, {priority: MESSAGE_PRIORITY.HIGH});
+  client.send({type: 'second'});
+  assert.equal(client.getQueueSize(), 4);
+
+  await waitFor(() => received.length === 4);
+  assert.deepEqual(received.map(({type}) => type), ['high', 'first', 'second', 'low']);
+  assert.equal(client.getQueueSize(), 0);
+});
+
+// Types of the queued messages, in sending order
+function getQueuedTypes(client) {
+  return client.messageQueue.map(({message}) => message.type);
+}
+
+test('a full queue drops its oldest message by default', async () => {
+  const {url} = await startServer();
+  const client = createClient(url, {maxQueueSize: 3});
+  const dropped = [];
+  client.on('drop', (message) => dropped.push(message.type));
+
+  ['a', 'b', 'c'].forEach((type) => assert.ok(client.send({type})));
+  assert.ok(client.send({type: 'd'}));
+  assert.deepEqual(getQueuedTypes(client), ['b', 'c', 'd']);
+  assert.deepEqual(dropped, ['a']);
+});
+
+test('the newest drop policy drops the incoming message', async () => {
+  const {url} = await startServer();
+  const client = createClient(url, {maxQueueSize: 3, queueDropPolicy: QUEUE_DROP_POLICY.NEWEST});
+  const dropped = [];
+  client.on('drop', (message) => dropped.push(message.type));
+
+  ['a', 'b', 'c'].forEach((type) => assert.ok(client.send({type})));
+  assert.equal(client.send({type: 'd'}), false);
+  assert.deepEqual(getQueuedTypes(client), ['a', 'b', 'c']);
+  assert.deepEqual(dropped, ['d']);
+});
+
+test('a full queue drops among its lowest priority messages', async () => {
+  for (const queueDropPolicy of Object.values(QUEUE_DROP_POLICY)) {
+    const {url} = await startServer();
+    const client = createClient(url, {maxQueueSize: 3, queueDropPolicy});
+    client.send({type: 'low'}, {priority: MESSAGE_PRIORITY.LOW});
+    client.send({type: 'high'}, {priority: MESSAGE_PRIORITY.HIGH});
+    client.send({type: 'normal'});
+    assert.ok(client.send({type: 'newer'}));
+    assert.deepEqual(getQueuedTypes(client), ['high', 'normal', 'newer'], queueDropPolicy);
+    client.close();
+  }
+});
+
+test('nothing is sent or queued after close()', async () => {
+  const {received, url} = await startServer();
+  const client = createClient(url);
+  client.send({type: 'queued'});
+  client.close();
+  assert.equal(client.send({type: 'late'}), false);
+  assert.equal(client.getQueueSize(), 0);
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(received, []);
+});
+
+// Error a request handler answers with, see server/protocol.mjs
+function createCodedError(code, message) {
+  return Object.assign(new Error(message), {code});
+}
+
+test('a request resolves with the result of its response', async () => {
+  const {url} = await startServer({requests: {add: ({a, b}) => ({sum: a + b})}});
+  const client = createClient(url);
+  assert.deepEqual(await client.request('add', {a: 2, b: 3}), {sum: 5});
+  assert.equal(client.requests.size, 0);
+  assert.equal(client.unacknowledged.size, 0);
+});
+
+test('an error response rejects with the code the server answered', async () => {
+  const {url} = await startServer({
+    requests: {
+      join: () => {
+        throw createCodedError('roomFull', 'The room is full');
+      },
+    },
+  });
+  const client = createClient(url);
+  await assert.rejects(client.request('join'), (error) => {
+    assert.ok(error instanceof RequestError);
+    assert.equal(error.code, 'roomFull');
+    assert.equal(error.message, 'The room is full');
+    return true;
+  });
+});
+
+test('a request without a response in time rejects with a timeout', async () => {
+  const {url} = await startServer({requests: {slow: () => new Promise(() => {})}});
+  const client = createClient(url);
+  await assert.rejects(client.request('slow', {}, {timeout: 50}), {code: REQUEST_ERROR.TIMEOUT});
+  // It is not resent after a reconnect either
+  assert.equal(client.unacknowledged.size, 0);
+  assert.equal(client.requests.size, 0);
+});
+
+test('pending requests reject when the client is closed', async () => {
+  const {url} = await startServer({requests: {slow: () => new Promise(() => {})}});
+  const client = createClient(url);
+  await nextEvent(client, 'open');
+  const pending = client.request('slow');
+  client.close();
+  await assert.rejects(pending, {code: REQUEST_ERROR.CLOSED});
+  await assert.rejects(client.request('slow'), {code: REQUEST_ERROR.CLOSED});
+});
+
+test('a request dropped from a full queue rejects', async () => {
+  const {url} = await startServer({requests: {list: () => []}});
+  const client = createClient(url, {maxQueueSize: 1});
+  const dropped = client.request('list', {}, {priority: MESSAGE_PRIORITY.LOW});
+  client.send({type: 'board'});
+  await assert.rejects(dropped, {code: REQUEST_ERROR.DROPPED});
+});
+
+test('acknowledged messages are no longer kept for resending', async () => {
+  const {received, url} = await startServer();
+  const client = createClient(url);
+  // Queued while connecting, which gives it an id
+  client.send({type: 'ready'});
+  await nextEvent(client, 'open');
+  assert.equal(client.unacknowledged.size, 1);
+
+  await waitFor(() => client.unacknowledged.size === 0);
+  assert.deepEqual(received.map(({type}) => type), ['ready']);
+});
+
+test('unacknowledged messages are resent after a reconnect', async () => {
+  const {server, received, url} = await startServer();
+  const client = createClient(url, {reconnectInterval: 10});
+  await nextEvent(client, 'open');
+  // Drop the connection before the server sees the message
+  server.clients.forEach((socket) => socket.terminate());
+  client.send({type: 'garbage', id: 'garbage-1', lines: 2});
+
+  await waitFor(() => received.length === 1);
+  assert.deepEqual(received, [{type: 'garbage', id: 'garbage-1', lines: 2}]);
+});
+
+test('the server ignores a retransmitted id and answers it again', async () => {
+  const {received, url} = await startServer();
+  const sendOnNewSocket = async (message) => {
+    const socket = new WebSocket(url);
+    await once(socket, 'open');
+    socket.send(JSON.stringify(message));
+    const [data] = await once(socket, 'message');
+    socket.close();
+    return JSON.parse(String(data));
+  };
+
+  // The ack of the first send was lost with its connection
+  assert.deepEqual(await sendOnNewSocket({type: 'ready', id: 'c-1'}), {type: 'ack', id: 'c-1'});
+  assert.deepEqual(await sendOnNewSocket({type: 'ready', id: 'c-1'}), {type: 'ack', id: 'c-1'});
+  assert.equal(received.length, 1);
+});
+
+test('a request resent after a reconnect is handled once', async () => {
+  let calls = 0;
+  let answer;
+  const {server, url} = await startServer({
+    requests: {
+      list: () => {
+        calls++;
+        return new Promise((resolve) => {
+          answer = resolve;
+        });
+      },
+    },
+  });
+  const client = createClient(url, {reconnectInterval: 10});
+  await nextEvent(client, 'open');
+  const response = client.request('list');
+  await waitFor(() => calls === 1);
+
+  // The connection drops while the server is handling the request, the client resends it
+  server.clients.forEach((socket) => socket.terminate());
+  await nextEvent(client, 'open');
+  await waitFor(() => server.clients.size === 1);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  // The response goes to the connection the retransmit came from
+  answer({games: []});
+  assert.deepEqual(await response, {games: []});
+  assert.equal(calls, 1);
+});